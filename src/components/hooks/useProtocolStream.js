@@ -0,0 +1,28 @@
+import { useEffect, useRef, useState } from "react";
+import { subscribeProtocolStream } from "../../lib/protocolStream";
+
+/*
+  Subscribes to the shared protocol stream for the life of the component.
+  onEvent receives every event ({ type, snapshot, ...details }); the
+  latest snapshot is also returned for rendering. With enabled false no
+  connection is opened.
+*/
+export default function useProtocolStream(onEvent, { enabled = true } = {}) {
+  const [snapshot, setSnapshot] = useState(null);
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    return subscribeProtocolStream((event) => {
+      setSnapshot(event.snapshot);
+      onEventRef.current?.(event);
+    });
+  }, [enabled]);
+
+  return snapshot;
+}
@@ -1,5 +1,6 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { useAccount, useConnect, useDisconnect, useReadContract, useWatchBlockNumber } from "wagmi";
+import useProtocolSnapshot from "./useProtocolSnapshot";
 
 // --- YOUR CONTRACTS (Flare) ---
 const EON_ADDRESS = "0x9458Cbb2e7DafFE6b3cf4d6F2AC75f2d2e0F7d79";
@@ -220,16 +221,21 @@ export default function useObserverState() {
     query: { enabled: !!address },
   });
 
+  // /api/snapshot first; the chain reads only run as its fallback.
+  const { snapshot, needsChain } = useProtocolSnapshot(5000);
+
   const totalMintedRead = useReadContract({
     abi: cubeMiniAbi,
     address: CUBE_ADDRESS,
     functionName: "totalMinted",
-    query: { enabled: true, refetchInterval: 5000 },
+    query: { enabled: needsChain("totalMinted"), refetchInterval: 5000 },
   });
 
+  const totalMintedValue = snapshot?.totalMinted ?? totalMintedRead.data;
+
   const totalMintedN = useMemo(() => {
     try {
-      const v = totalMintedRead.data;
+      const v = totalMintedValue;
       if (typeof v === "bigint") {
         const max = BigInt(Number.MAX_SAFE_INTEGER);
         return v > max ? Number.MAX_SAFE_INTEGER : Number(v);
@@ -239,7 +245,7 @@ export default function useObserverState() {
     } catch {
       return 0;
     }
-  }, [totalMintedRead.data]);
+  }, [totalMintedValue]);
 
   const decimals = useReadContract({
     abi: erc20Abi,
@@ -524,18 +530,20 @@ export default function useObserverState() {
     address: controllerAddress,
     functionName: "energonHeight",
     query: {
-      enabled: !!controllerAddress,
+      enabled: !!controllerAddress && needsChain("energonHeight"),
       refetchInterval: 5000,
     },
   });
 
+  const heightValue = snapshot?.energonHeight ?? heightRead?.data;
+
   const lastMilestoneRef = useRef(null);
   const burstTimerRef = useRef(null);
 
   useEffect(() => {
     if (!isConnected) return;
     if (!isBound) return;
-    if (!heightRead?.data) return;
+    if (!heightValue) return;
 
     if (burstTimerRef.current) {
       clearInterval(burstTimerRef.current);
@@ -561,7 +569,7 @@ export default function useObserverState() {
       }, gapMs);
     }
 
-    const h = Number(heightRead.data);
+    const h = Number(heightValue);
     if (!Number.isFinite(h) || h <= 0) return;
 
     const milestoneIndex = Math.floor((h - 1) / SPARK_MILESTONE);
@@ -582,7 +590,7 @@ export default function useObserverState() {
         burstTimerRef.current = null;
       }
     };
-  }, [isConnected, isBound, heightRead?.data]);
+  }, [isConnected, isBound, heightValue]);
 
   const displayedCandidateId = useMemo(() => {
     if (candidateTokenId != null) return safeBigIntToString(candidateTokenId);
@@ -0,0 +1,47 @@
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { fetchProtocolSnapshot } from "../../../lib/protocolSnapshot";
+import useProtocolStream from "../../hooks/useProtocolStream";
+
+/*
+  Polls /api/snapshot through react-query, and replaces the cached value
+  as soon as /api/stream pushes a newer one. needsChain(key) is true when
+  the snapshot failed or lacks that value, so a direct chain read for it
+  can be enabled as the fallback.
+
+  react-query keeps the last good data when a refetch fails, so snapshot
+  is null once the last fetch failed or the data is older than
+  STALE_INTERVALS polls; callers' `snapshot?.x ?? chainRead.data` then
+  picks the chain value instead of a frozen one.
+*/
+
+const STALE_INTERVALS = 2;
+
+export default function useProtocolSnapshot(intervalMs) {
+  const queryClient = useQueryClient();
+
+  useProtocolStream((event) => {
+    queryClient.setQueryData(["protocolSnapshot"], event.snapshot);
+  });
+
+  const snapshotRead = useQuery({
+    queryKey: ["protocolSnapshot"],
+    queryFn: fetchProtocolSnapshot,
+    refetchInterval: intervalMs,
+    staleTime: intervalMs,
+    retry: 1,
+  });
+
+  const fresh =
+    !!snapshotRead.data &&
+    !snapshotRead.isError &&
+    Date.now() - snapshotRead.dataUpdatedAt <= STALE_INTERVALS * intervalMs;
+
+  const snapshot = fresh ? snapshotRead.data : null;
+
+  const needsChain = (key) =>
+    snapshot
+      ? snapshot[key] === null || snapshot[key] === undefined
+      : snapshotRead.isError || !!snapshotRead.data;
+
+  return { snapshot, needsChain };
+}
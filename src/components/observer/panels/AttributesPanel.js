@@ -1,12 +1,30 @@
 import React from "react";
 import AttrTileSmall from "../ui/AttrTileSmall";
 
+function traitShare(rarity, traitType, value) {
+  const trait = rarity?.traits?.find(
+    (t) => t.trait_type === traitType && String(t.value) === String(value)
+  );
+
+  return trait ? `${trait.percent}% of cubes` : null;
+}
+
+function rankLabel(rarity) {
+  if (!rarity?.rank) return null;
+  if (rarity.special) return `${rarity.special} · Rank #${rarity.rank}`;
+
+  return `Rank #${rarity.rank.toLocaleString()} / ${Number(
+    rarity.totalSupply
+  ).toLocaleString()}`;
+}
+
 export default function AttributesPanel({
   canShowAttributes,
   isNarrow,
   attrsOpen,
   setAttrsOpen,
   attrsCapped,
+  rarity,
   maxAttrs,
   sheetInset,
   sheetH,
@@ -100,7 +118,9 @@ export default function AttributesPanel({
           </span>
         </div>
         <div style={{ fontSize: 10, opacity: 0.6 }}>
-          {attrsOpen ? `Showing ${attrsCapped.length}/${maxAttrs}` : null}
+          {attrsOpen
+            ? `Showing ${attrsCapped.length}/${maxAttrs}`
+            : rankLabel(rarity)}
         </div>
       </button>
 
@@ -116,10 +136,30 @@ export default function AttributesPanel({
             flex: 1,
           }}
         >
+          {rarity?.rank ? (
+            <div
+              style={{
+                gridColumn: "1 / -1",
+                fontSize: 11,
+                opacity: 0.8,
+                letterSpacing: "0.06em",
+              }}
+            >
+              {rankLabel(rarity)}
+            </div>
+          ) : null}
+
           {attrsCapped.map((a, idx) => {
             const k = a?.trait_type ?? a?.traitType ?? `Attribute ${idx + 1}`;
             const v = a?.value;
-            return <AttrTileSmall key={`${k}-${idx}`} k={k} v={v} />;
+            return (
+              <AttrTileSmall
+                key={`${k}-${idx}`}
+                k={k}
+                v={v}
+                note={traitShare(rarity, k, v)}
+              />
+            );
           })}
         </div>
       ) : null}
@@ -1,6 +1,6 @@
 import React from "react";
 
-export default function AttrTileSmall({ k, v }) {
+export default function AttrTileSmall({ k, v, note }) {
   return (
     <div
       style={{
@@ -36,6 +36,20 @@ export default function AttrTileSmall({ k, v }) {
       >
         {String(v ?? "—")}
       </div>
+      {note ? (
+        <div
+          style={{
+            marginTop: 3,
+            fontSize: 10,
+            opacity: 0.55,
+            whiteSpace: "nowrap",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+          }}
+        >
+          {note}
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -5,6 +5,7 @@ import { getCoherentEchoResponse } from "./qoriCoherentEchoes";
 import { getVocabularyResponse } from "./qoriVocabulary";
 import { buildGuardianDialogueResponse } from "./qoriConversation";
 import { typeText, stopTyping, maybeAddSignalDegradation } from "./qoriEffects";
+import useProtocolStream from "../hooks/useProtocolStream";
 import {
   getStateVisuals,
   getSystemObservation,
@@ -1158,6 +1159,13 @@ _`,
     };
   }, []);
 
+  useProtocolStream(
+    (event) => {
+      if (event.type !== "snapshot") refreshLiveState();
+    },
+    { enabled: !landingMode }
+  );
+
   useEffect(() => {
     refreshLiveState();
 
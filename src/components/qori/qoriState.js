@@ -5,6 +5,8 @@ import {
   MAINNET_CHAIN_ID,
   RPCS,
 } from "../../lib/contract";
+import { fetchProtocolSnapshot } from "../../lib/protocolSnapshot";
+import { fetchPreferredRpcUrl } from "../../lib/rpcRanking";
 
 const CONTROLLER_ADDRESS_LOCKED =
   "0xc737bDcA9aFc57a1277480c3DFBF5bdbEcb54BB6";
@@ -88,7 +90,12 @@ const PROTOCOL_ERAS = [
   "Terminal Era",
 ];
 
-function getProtocolEra() {
+export function getEraName(eraIndex) {
+  const index = Math.max(0, Math.floor(Number(eraIndex) || 0));
+  return PROTOCOL_ERAS[Math.min(index, PROTOCOL_ERAS.length - 1)];
+}
+
+export function getProtocolEra() {
   const now = Date.now();
   const genesis = GENESIS_DATE.getTime();
 
@@ -97,7 +104,7 @@ function getProtocolEra() {
   const yearsElapsed = (now - genesis) / (1000 * 60 * 60 * 24 * 365.25);
   const eraIndex = Math.floor(yearsElapsed / 4);
 
-  return PROTOCOL_ERAS[Math.min(eraIndex, PROTOCOL_ERAS.length - 1)];
+  return getEraName(eraIndex);
 }
 
 function formatDateFromUnix(sec) {
@@ -133,13 +140,13 @@ function formatNumber(value) {
   }
 }
 
-function getRpcUrl() {
+function getRpcUrls() {
   const v = RPCS?.[MAINNET_CHAIN_ID];
 
-  if (Array.isArray(v)) return v.filter(Boolean)[0] || "";
-  if (typeof v === "string") return v;
+  if (Array.isArray(v)) return v.filter(Boolean);
+  if (typeof v === "string" && v) return [v];
 
-  return "";
+  return [];
 }
 
 function createBaseCtx() {
@@ -289,66 +296,107 @@ Exactly one EnergonCube.
 Q.O.R.I remains in public guidance mode.`;
 }
 
+function applyProtocolValues(ctx, values) {
+  const {
+    energonHeight,
+    secondsUntilNextEnergonBlock,
+    burnPoolRemaining,
+    lastHalvingTime,
+    halvingInterval,
+  } = values;
+
+  if (energonHeight !== null && energonHeight !== undefined) {
+    ctx.energonHeight = energonHeight.toString();
+  }
+
+  if (
+    secondsUntilNextEnergonBlock !== null &&
+    secondsUntilNextEnergonBlock !== undefined
+  ) {
+    const n = Number(secondsUntilNextEnergonBlock.toString());
+    ctx.tickState = n === 0 ? "TICK ALLOWED" : formatCountdown(n);
+  }
+
+  if (burnPoolRemaining !== null && burnPoolRemaining !== undefined) {
+    const formattedRemaining = ethers.formatUnits(burnPoolRemaining, 18);
+
+    const cleanRemaining = Number(formattedRemaining).toLocaleString(
+      undefined,
+      { maximumFractionDigits: 2 }
+    );
+
+    ctx.burnState = `${cleanRemaining} EON Remaining`;
+  }
+
+  if (
+    lastHalvingTime !== null &&
+    lastHalvingTime !== undefined &&
+    halvingInterval !== null &&
+    halvingInterval !== undefined
+  ) {
+    const next =
+      Number(lastHalvingTime.toString()) + Number(halvingInterval.toString());
+
+    if (next > 0) {
+      ctx.nextHalvingDate = formatDateFromUnix(next);
+      ctx.halvingCountdown = formatCountdown(
+        next - Math.floor(Date.now() / 1000)
+      );
+    }
+  }
+}
+
+async function readProtocolValuesFromChain(ctx, cube, roProvider) {
+  let ctrl = CONTROLLER_ADDRESS_LOCKED;
+
+  try {
+    const onChainCtrl = await cube.controller();
+    if (onChainCtrl && onChainCtrl !== ethers.ZeroAddress) {
+      ctrl = onChainCtrl;
+    }
+  } catch {}
+
+  const controller = new ethers.Contract(ctrl, CONTROLLER_ABI, roProvider);
+
+  const values = {};
+  const read = async (name) => {
+    try {
+      values[name] = await controller[name]();
+    } catch {
+      values[name] = null;
+    }
+  };
+
+  await read("energonHeight");
+  await read("secondsUntilNextEnergonBlock");
+  await read("burnPoolRemaining");
+  await read("lastHalvingTime");
+  await read("halvingInterval");
+
+  applyProtocolValues(ctx, values);
+}
+
 export async function readQoriLiveState() {
   const baseCtx = createBaseCtx();
 
   try {
-    const rpcUrl = getRpcUrl();
+    const rpcUrl = await fetchPreferredRpcUrl(getRpcUrls());
     if (!rpcUrl) return baseCtx;
 
     const roProvider = new ethers.JsonRpcProvider(rpcUrl);
     const cube = new ethers.Contract(CONTRACT_ADDRESS, ABI, roProvider);
 
-    let ctrl = CONTROLLER_ADDRESS_LOCKED;
+    let snapshot = null;
 
     try {
-      const onChainCtrl = await cube.controller();
-      if (onChainCtrl && onChainCtrl !== ethers.ZeroAddress) {
-        ctrl = onChainCtrl;
-      }
+      snapshot = await fetchProtocolSnapshot();
     } catch {}
 
-    try {
-      const controller = new ethers.Contract(ctrl, CONTROLLER_ABI, roProvider);
-
-      try {
-        const h = await controller.energonHeight();
-        baseCtx.energonHeight = h.toString();
-      } catch {}
-
-      try {
-        const sec = await controller.secondsUntilNextEnergonBlock();
-        const n = Number(sec.toString());
-        baseCtx.tickState = n === 0 ? "TICK ALLOWED" : formatCountdown(n);
-      } catch {}
-
-      try {
-        const remaining = await controller.burnPoolRemaining();
-        const formattedRemaining = ethers.formatUnits(remaining, 18);
-
-        const cleanRemaining = Number(formattedRemaining).toLocaleString(
-          undefined,
-          { maximumFractionDigits: 2 }
-        );
-
-        baseCtx.burnState = `${cleanRemaining} EON Remaining`;
-      } catch {}
-
-      try {
-        const lastHalving = await controller.lastHalvingTime();
-        const interval = await controller.halvingInterval();
-
-        const next =
-          Number(lastHalving.toString()) + Number(interval.toString());
-
-        if (next > 0) {
-          baseCtx.nextHalvingDate = formatDateFromUnix(next);
-          baseCtx.halvingCountdown = formatCountdown(
-            next - Math.floor(Date.now() / 1000)
-          );
-        }
-      } catch {}
-    } catch {}
+    if (snapshot) {
+      applyProtocolValues(baseCtx, snapshot);
+    } else {
+      await readProtocolValuesFromChain(baseCtx, cube, roProvider);
+    }
 
     if (typeof window === "undefined" || !window.ethereum) {
       return baseCtx;
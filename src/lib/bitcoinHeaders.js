@@ -0,0 +1,272 @@
+// src/lib/bitcoinHeaders.js
+
+import { getBytes, hexlify, sha256 } from "ethers";
+
+/*
+  Offline audit of the controller's Bitcoin anchors against a header file
+  the user supplies, so nothing here depends on our servers being honest.
+
+  A header file is either raw 80-byte headers back to back (the Bitcoin
+  Core / Electrum layout) or hex text with one 160-character header per
+  line. Headers are taken as consecutive, starting at a given height.
+
+  Each header is checked locally for:
+  - proof of work: its hash is at or below the target in its nBits, and
+    that target is no easier than mainnet's powLimit
+  - difficulty: nBits only changes on a RETARGET_INTERVAL boundary, and
+    when the file holds the whole previous window the new nBits is
+    re-derived with the consensus retarget rule
+  - linkage: its prev-hash is the hash of the header before it (and zero
+    for the genesis header when the file starts at height 0)
+
+  The difficulty of the window the file starts in cannot be re-derived
+  unless the file starts at a boundary with its previous window, so
+  retargetsUnchecked says how many boundaries were only bounded by
+  powLimit. Start the file at height 0 to check every one.
+*/
+
+export const HEADER_SIZE = 80;
+
+const YIELD_EVERY = 2000;
+const MAX_REPORTED_ERRORS = 20;
+const ZERO_HASH = "0".repeat(64);
+
+const POW_LIMIT_BITS = 0x1d00ffff;
+const RETARGET_INTERVAL = 2016;
+const TARGET_TIMESPAN = 14 * 24 * 60 * 60;
+
+function reverseHex(hex) {
+  return hex.match(/../g).reverse().join("");
+}
+
+function readUint32LE(bytes, offset) {
+  return (
+    (bytes[offset] |
+      (bytes[offset + 1] << 8) |
+      (bytes[offset + 2] << 16) |
+      (bytes[offset + 3] << 24)) >>>
+    0
+  );
+}
+
+/*
+  Header bytes from a file's contents (ArrayBuffer or Uint8Array).
+*/
+export function readHeaderFile(contents) {
+  const bytes = new Uint8Array(contents);
+  const text = new TextDecoder().decode(bytes.subarray(0, 4096));
+
+  if (/^[0-9a-fA-F\s]+$/.test(text)) {
+    const lines = new TextDecoder()
+      .decode(bytes)
+      .split(/\s+/)
+      .filter(Boolean);
+
+    if (lines.some((line) => line.length !== HEADER_SIZE * 2)) {
+      throw new Error("Hex header files need one 160-character header per line.");
+    }
+
+    return getBytes("0x" + lines.join(""));
+  }
+
+  if (!bytes.length || bytes.length % HEADER_SIZE !== 0) {
+    throw new Error("Binary header files must be a whole number of 80-byte headers.");
+  }
+
+  return bytes;
+}
+
+export function countHeaders(headerBytes) {
+  return Math.floor(headerBytes.length / HEADER_SIZE);
+}
+
+/*
+  Expands compact nBits into the 256-bit target. Returns null for
+  negative or overflowing encodings, which no valid header uses.
+*/
+export function bitsToTarget(bits) {
+  const exponent = bits >>> 24;
+  const mantissa = BigInt(bits & 0x007fffff);
+
+  if (bits & 0x00800000) return null;
+
+  const target =
+    exponent <= 3
+      ? mantissa >> BigInt(8 * (3 - exponent))
+      : mantissa << BigInt(8 * (exponent - 3));
+
+  return target < 1n << 256n ? target : null;
+}
+
+const POW_LIMIT = bitsToTarget(POW_LIMIT_BITS);
+
+/*
+  Compact nBits for a target, truncated the same way Bitcoin Core does.
+*/
+export function targetToBits(target) {
+  let size = Math.ceil(target.toString(16).length / 2);
+  let mantissa =
+    size <= 3
+      ? target << BigInt(8 * (3 - size))
+      : target >> BigInt(8 * (size - 3));
+
+  if (mantissa & 0x00800000n) {
+    mantissa >>= 8n;
+    size += 1;
+  }
+
+  return ((size << 24) | Number(mantissa)) >>> 0;
+}
+
+/*
+  nBits for the window starting after a retarget, from the previous
+  window's nBits and its first and last header times.
+*/
+export function nextRetargetBits(previousBits, firstTime, lastTime) {
+  const timespan = Math.min(
+    Math.max(lastTime - firstTime, TARGET_TIMESPAN / 4),
+    TARGET_TIMESPAN * 4
+  );
+
+  const target =
+    (bitsToTarget(previousBits) * BigInt(timespan)) / BigInt(TARGET_TIMESPAN);
+
+  return targetToBits(target > POW_LIMIT ? POW_LIMIT : target);
+}
+
+/*
+  Block hash in the usual (byte-reversed) display order.
+*/
+export function headerHash(header) {
+  return reverseHex(sha256(getBytes(sha256(header))).slice(2));
+}
+
+/*
+  Same block hash, accepting either byte order and an optional 0x.
+*/
+export function sameBlockHash(a, b) {
+  const x = String(a || "").toLowerCase().replace(/^0x/, "");
+  const y = String(b || "").toLowerCase().replace(/^0x/, "");
+
+  if (x.length !== 64 || y.length !== 64) return false;
+
+  return x === y || x === reverseHex(y);
+}
+
+/*
+  Walks every header, yielding to the browser every YIELD_EVERY headers.
+  Only the hashes for `wantedHeights` are kept, so full-chain files stay
+  cheap to hold in memory.
+*/
+export async function verifyHeaderChain(
+  headerBytes,
+  { startHeight = 0, wantedHeights = new Set(), onProgress } = {}
+) {
+  const count = countHeaders(headerBytes);
+  const hashes = new Map();
+  const errors = [];
+
+  let errorCount = 0;
+  let previousHash = startHeight === 0 ? ZERO_HASH : null;
+  let previousBits = startHeight === 0 ? POW_LIMIT_BITS : null;
+  let previousTime = null;
+  let windowStartTime = null;
+  let retargetsChecked = 0;
+  let retargetsUnchecked = 0;
+
+  const fail = (height, reason) => {
+    errorCount += 1;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push({ height, reason });
+  };
+
+  for (let i = 0; i < count; i += 1) {
+    const height = startHeight + i;
+    const header = headerBytes.subarray(i * HEADER_SIZE, (i + 1) * HEADER_SIZE);
+
+    const hash = headerHash(header);
+    const prevHash = reverseHex(hexlify(header.subarray(4, 36)).slice(2));
+    const time = readUint32LE(header, 68);
+    const bits = readUint32LE(header, 72);
+    const target = bitsToTarget(bits);
+    const boundary = height % RETARGET_INTERVAL === 0;
+
+    if (previousHash !== null && prevHash !== previousHash) {
+      fail(height, "prev-hash does not match the previous header");
+    }
+
+    if (target === null) {
+      fail(height, "invalid nBits");
+    } else if (target > POW_LIMIT) {
+      fail(height, "target easier than the mainnet powLimit");
+    } else if (BigInt("0x" + hash) > target) {
+      fail(height, "hash above its proof-of-work target");
+    }
+
+    if (boundary && height > 0) {
+      if (windowStartTime !== null) {
+        retargetsChecked += 1;
+
+        if (bits !== nextRetargetBits(previousBits, windowStartTime, previousTime)) {
+          fail(height, "nBits does not follow the difficulty retarget");
+        }
+      } else {
+        retargetsUnchecked += 1;
+      }
+    } else if (previousBits !== null && bits !== previousBits) {
+      fail(height, "nBits changes outside a retarget boundary");
+    }
+
+    if (boundary) windowStartTime = time;
+    previousBits = bits;
+    previousTime = time;
+
+    if (wantedHeights.has(height)) hashes.set(height, hash);
+
+    previousHash = hash;
+
+    if ((i + 1) % YIELD_EVERY === 0) {
+      onProgress?.(i + 1, count);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  onProgress?.(count, count);
+
+  return {
+    startHeight,
+    endHeight: startHeight + count - 1,
+    count,
+    valid: errorCount === 0,
+    retargetsChecked,
+    retargetsUnchecked,
+    errorCount,
+    errors,
+    hashes,
+  };
+}
+
+/*
+  Verifies the header file and checks each anchor { btcHeight,
+  btcBlockHash } against it. status is "match", "mismatch" or
+  "outside-file".
+*/
+export async function auditAnchors(headerBytes, anchors, options = {}) {
+  const chain = await verifyHeaderChain(headerBytes, {
+    ...options,
+    wantedHeights: new Set(anchors.map((anchor) => anchor.btcHeight)),
+  });
+
+  const results = anchors.map((anchor) => {
+    const fileHash = chain.hashes.get(anchor.btcHeight);
+
+    if (!fileHash) return { ...anchor, status: "outside-file", fileHash: null };
+
+    return {
+      ...anchor,
+      fileHash,
+      status: sameBlockHash(anchor.btcBlockHash, fileHash) ? "match" : "mismatch",
+    };
+  });
+
+  return { chain, results };
+}
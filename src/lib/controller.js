@@ -19,6 +19,11 @@ export const CONTROLLER_ABI = [
   "function secondsUntilNextEnergonBlock() view returns (uint256)",
   "function nextEnergonTimestamp() view returns (uint256)",
 
+  "function burnPoolRemaining() view returns (uint256)",
+  "function launchTime() view returns (uint256)",
+  "function lastHalvingTime() view returns (uint256)",
+  "function halvingInterval() view returns (uint256)",
+
   "function tickEnergon()",
 
   "event RewardPaid(address indexed to, uint256 amount, uint256 tokenId)",
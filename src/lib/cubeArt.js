@@ -0,0 +1,189 @@
+// src/lib/cubeArt.js
+
+import {
+  GENESIS_CUBE_ID,
+  OMEGA_CUBE_ID,
+  attributeValue,
+  buildAttributes,
+  mulberry32,
+} from "./cubeAttributes";
+
+/*
+  Generative SVG for a single EnergonCube.
+
+  Every visual choice comes from buildAttributes(id), and the overlay
+  particles use mulberry32 seeded with the cube's Overlay Seed, so the
+  same id always renders the same image.
+*/
+
+const SIZE = 1000;
+
+const PLASMA_COLORS = {
+  "Flare Ember": { core: "#ff6a2b", light: "#ffd2a8" },
+  "Azure Arc": { core: "#2fa8ff", light: "#bfe6ff" },
+  "Solar Pulse": { core: "#ffd23f", light: "#fff3b8" },
+  "Crimson Nova": { core: "#ff2d55", light: "#ffc2cf" },
+  "Ion Drift": { core: "#00ffc6", light: "#c8fff1" },
+};
+
+const BACKGROUND_COLORS = {
+  Black: { inner: "#0b0b0b", outer: "#000000" },
+  Midnight: { inner: "#0d1a3a", outer: "#030816" },
+  Void: { inner: "#1a0a2e", outer: "#05010b" },
+  Nebula: { inner: "#3a0f4f", outer: "#0c0316" },
+};
+
+const RARITY_FRAMES = {
+  Common: { color: "#3a4a5a", width: 6 },
+  Uncommon: { color: "#4cd18a", width: 8 },
+  Rare: { color: "#2fa8ff", width: 10 },
+  Legendary: { color: "#ffb020", width: 14 },
+  Mythic: { color: "#ff4dff", width: 18 },
+};
+
+const SPECIAL_FRAMES = {
+  [GENESIS_CUBE_ID]: { label: "GENESIS", color: "#ffd700", width: 20 },
+  [OMEGA_CUBE_ID]: { label: "OMEGA", color: "#f4f7ff", width: 20 },
+};
+
+const LAYOUT_X = {
+  Left: 360,
+  Center: 500,
+  Right: 640,
+};
+
+function percent(value) {
+  return Number(String(value).replace("%", "")) || 0;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function points(list) {
+  return list.map(([x, y]) => `${round(x)},${round(y)}`).join(" ");
+}
+
+function overlayParticles(seed, density, color) {
+  const rand = mulberry32(seed);
+  const count = density * 18;
+  const particles = [];
+
+  for (let i = 0; i < count; i += 1) {
+    const x = rand() * SIZE;
+    const y = rand() * SIZE;
+    const r = 1 + rand() * 3.5;
+    const opacity = 0.15 + rand() * 0.45;
+
+    particles.push(
+      `<circle cx="${round(x)}" cy="${round(y)}" r="${round(r)}" fill="${color}" opacity="${round(opacity * 100) / 100}"/>`
+    );
+  }
+
+  for (let i = 0; i < density * 3; i += 1) {
+    const y = 80 + rand() * (SIZE - 160);
+    const width = 120 + rand() * 420;
+    const x = rand() * (SIZE - width);
+
+    particles.push(
+      `<line x1="${round(x)}" y1="${round(y)}" x2="${round(x + width)}" y2="${round(y)}" stroke="${color}" stroke-width="1" opacity="0.18"/>`
+    );
+  }
+
+  return particles.join("");
+}
+
+function cubeFaces(cx, cy, size) {
+  const half = size / 2;
+  const rise = size * 0.29;
+
+  const top = [cx, cy - half - rise];
+  const left = [cx - half, cy - rise];
+  const right = [cx + half, cy - rise];
+  const center = [cx, cy];
+  const bottomLeft = [cx - half, cy + half - rise];
+  const bottomRight = [cx + half, cy + half - rise];
+  const bottom = [cx, cy + half];
+
+  return {
+    top: points([top, right, center, left]),
+    left: points([left, center, bottom, bottomLeft]),
+    right: points([right, bottomRight, bottom, center]),
+  };
+}
+
+function gauge(label, value, y, color) {
+  const width = 260;
+
+  return `<text x="80" y="${y - 10}" fill="#9fb3c8" font-family="monospace" font-size="18">${label} ${value}%</text>
+<rect x="80" y="${y}" width="${width}" height="8" rx="4" fill="#ffffff" opacity="0.08"/>
+<rect x="80" y="${y}" width="${round((width * value) / 100)}" height="8" rx="4" fill="${color}"/>`;
+}
+
+export function renderCubeSvg(id) {
+  const tokenId = Number(id);
+  const attributes = buildAttributes(tokenId);
+
+  const plasmaCore = attributeValue(attributes, "Plasma Core");
+  const background = attributeValue(attributes, "Background");
+  const energyOutput = percent(attributeValue(attributes, "Energy Output"));
+  const powerConsumption = percent(
+    attributeValue(attributes, "Power Consumption")
+  );
+  const turbulence = attributeValue(attributes, "Plasma Turbulence");
+  const overlaySeed = attributeValue(attributes, "Overlay Seed");
+  const density = attributeValue(attributes, "Overlay Density");
+  const layout = attributeValue(attributes, "Overlay Layout");
+  const rarity = attributeValue(attributes, "Rarity Tier");
+
+  const special = SPECIAL_FRAMES[tokenId];
+  const plasma = PLASMA_COLORS[plasmaCore];
+  const backdrop = BACKGROUND_COLORS[background];
+  const frame = special || RARITY_FRAMES[rarity];
+
+  const cx = LAYOUT_X[layout];
+  const cy = 470;
+  const cubeSize = 300;
+  const faces = cubeFaces(cx, cy, cubeSize);
+
+  const glowRadius = 120 + energyOutput * 1.6;
+  const baseFrequency = round((0.004 + turbulence * 0.00035) * 10000) / 10000;
+  const displacement = 12 + turbulence * 0.5;
+
+  const label = special ? special.label : rarity.toUpperCase();
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SIZE} ${SIZE}" width="${SIZE}" height="${SIZE}">
+<defs>
+<radialGradient id="bg" cx="50%" cy="45%" r="75%">
+<stop offset="0%" stop-color="${backdrop.inner}"/>
+<stop offset="100%" stop-color="${backdrop.outer}"/>
+</radialGradient>
+<radialGradient id="core" cx="50%" cy="50%" r="50%">
+<stop offset="0%" stop-color="${plasma.light}" stop-opacity="0.95"/>
+<stop offset="45%" stop-color="${plasma.core}" stop-opacity="0.55"/>
+<stop offset="100%" stop-color="${plasma.core}" stop-opacity="0"/>
+</radialGradient>
+<filter id="plasma" x="-50%" y="-50%" width="200%" height="200%">
+<feTurbulence type="fractalNoise" baseFrequency="${baseFrequency}" numOctaves="3" seed="${overlaySeed}"/>
+<feDisplacementMap in="SourceGraphic" scale="${round(displacement)}"/>
+</filter>
+<filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
+<feGaussianBlur stdDeviation="22"/>
+</filter>
+</defs>
+<rect width="${SIZE}" height="${SIZE}" fill="url(#bg)"/>
+${overlayParticles(overlaySeed, density, plasma.light)}
+<circle cx="${cx}" cy="${cy}" r="${round(glowRadius)}" fill="url(#core)" filter="url(#glow)"/>
+<g filter="url(#plasma)">
+<circle cx="${cx}" cy="${cy - 20}" r="${round(glowRadius * 0.45)}" fill="${plasma.core}" opacity="0.35"/>
+</g>
+<polygon points="${faces.left}" fill="${plasma.core}" fill-opacity="0.22" stroke="${plasma.light}" stroke-width="2"/>
+<polygon points="${faces.right}" fill="${plasma.core}" fill-opacity="0.34" stroke="${plasma.light}" stroke-width="2"/>
+<polygon points="${faces.top}" fill="${plasma.light}" fill-opacity="0.18" stroke="${plasma.light}" stroke-width="2"/>
+${gauge("ENERGY OUTPUT", energyOutput, 850, plasma.core)}
+${gauge("POWER DRAW", powerConsumption, 910, plasma.light)}
+<text x="920" y="880" text-anchor="end" fill="${frame.color}" font-family="monospace" font-size="26" letter-spacing="4">${label}</text>
+<text x="920" y="918" text-anchor="end" fill="#e6f1ff" font-family="monospace" font-size="22">ENERGON CUBE #${tokenId}</text>
+<rect x="${frame.width / 2 + 20}" y="${frame.width / 2 + 20}" width="${SIZE - frame.width - 40}" height="${SIZE - frame.width - 40}" rx="28" fill="none" stroke="${frame.color}" stroke-width="${frame.width}" opacity="0.85"/>
+</svg>`;
+}
@@ -0,0 +1,105 @@
+// src/lib/cubeAttributes.js
+
+import { MAX_CUBE_SUPPLY } from "./contract";
+
+/*
+  Deterministic EnergonCube traits, seeded by token id.
+
+  Shared by the metadata API and anything else that needs a cube's traits
+  without fetching its metadata.
+*/
+
+export const GENESIS_CUBE_ID = 1;
+export const OMEGA_CUBE_ID = MAX_CUBE_SUPPLY;
+
+export function mulberry32(a) {
+  return function () {
+    let t = (a += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export const PLASMA_CORES = [
+  "Flare Ember",
+  "Azure Arc",
+  "Solar Pulse",
+  "Crimson Nova",
+  "Ion Drift",
+];
+
+export const BACKGROUNDS = ["Black", "Midnight", "Void", "Nebula"];
+
+export const RARITY_TIERS = [
+  "Common",
+  "Uncommon",
+  "Rare",
+  "Legendary",
+  "Mythic",
+];
+
+function getRarity(rand) {
+  const r = rand();
+  if (r < 0.01) return "Mythic";
+  if (r < 0.05) return "Legendary";
+  if (r < 0.20) return "Rare";
+  if (r < 0.50) return "Uncommon";
+  return "Common";
+}
+
+export function buildAttributes(id) {
+  const rand = mulberry32(id);
+
+  const plasmaCore = PLASMA_CORES[Math.floor(rand() * PLASMA_CORES.length)];
+  const background = BACKGROUNDS[Math.floor(rand() * BACKGROUNDS.length)];
+  const energyOutput = Math.floor(rand() * 50) + 50;
+  const powerConsumption = Math.floor(rand() * 60) + 30;
+  const turbulence = Math.floor(rand() * 100);
+  const overlaySeed = Math.floor(rand() * 100000);
+  const density = Math.floor(rand() * 4) + 1;
+
+  const layouts = ["Left", "Center", "Right"];
+  const layout = layouts[Math.floor(rand() * layouts.length)];
+  const rarity = getRarity(rand);
+
+  return [
+    { trait_type: "Plasma Core", value: plasmaCore },
+    { trait_type: "Background", value: background },
+    { trait_type: "Energy Output", value: `${energyOutput}%` },
+    { trait_type: "Power Consumption", value: `${powerConsumption}%` },
+    { trait_type: "Plasma Turbulence", value: turbulence },
+    { trait_type: "Overlay Seed", value: overlaySeed },
+    { trait_type: "Overlay Density", value: density },
+    { trait_type: "Overlay Layout", value: layout },
+    { trait_type: "Rarity Tier", value: rarity },
+  ];
+}
+
+export function attributeValue(attributes, traitType) {
+  return attributes.find((attribute) => attribute.trait_type === traitType)
+    ?.value;
+}
+
+/*
+  The traits Discord roles are keyed on. Genesis #1 and Omega #1000000
+  carry their own tier and have no plasma core.
+*/
+export function getCubeRoleTraits(id) {
+  const tokenId = Number(id);
+
+  if (tokenId === GENESIS_CUBE_ID) {
+    return { rarityTier: "Genesis", plasmaCore: null };
+  }
+
+  if (tokenId === OMEGA_CUBE_ID) {
+    return { rarityTier: "Omega", plasmaCore: null };
+  }
+
+  const attributes = buildAttributes(tokenId);
+
+  return {
+    rarityTier: attributeValue(attributes, "Rarity Tier"),
+    plasmaCore: attributeValue(attributes, "Plasma Core"),
+  };
+}
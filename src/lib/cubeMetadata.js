@@ -0,0 +1,43 @@
+// src/lib/cubeMetadata.js
+
+import { OMEGA_CUBE_ID } from "./cubeAttributes";
+
+/*
+  Metadata constants shared by the token and collection (contractURI)
+  endpoints.
+*/
+
+export const MAX_SUPPLY = OMEGA_CUBE_ID;
+
+export const COLLECTION_NAME = "Energon Cubes";
+
+export const IMAGE_CID =
+  "bafybeifigkjd7zwtthgkjnb7pvzdkoufbskr7kevswontsjcaeqbo542vu";
+
+export const IMAGE_URL = `https://red-secret-dragonfly-529.mypinata.cloud/ipfs/${IMAGE_CID}`;
+
+export const CUBE_DESCRIPTION =
+  "Energon Cubes are live Core-reactor nodes — the one million beating hearts of the Energon Grid. Each cube manifests a distinct plasma signature while working in unison to fortify and expand the network's energy field. To hold a Cube is to become a Grid Guardian, entrusted with stabilizing the Plasma flow and shaping the future of decentralized Energon rewards.";
+
+export const DEFAULT_EXTERNAL_LINK = "https://energon-site.vercel.app";
+
+/*
+  Origin used for absolute links inside metadata. METADATA_BASE_URL pins
+  it; otherwise it follows the host the request came in on.
+*/
+export function getMetadataOrigin(req) {
+  if (process.env.METADATA_BASE_URL) {
+    return process.env.METADATA_BASE_URL.replace(/\/+$/, "");
+  }
+
+  const proto = String(req.headers["x-forwarded-proto"] || "https").split(",")[0];
+  return `${proto}://${req.headers.host}`;
+}
+
+export function cubeImageUrl(origin, tokenId) {
+  return `${origin}/api/image/${tokenId}.svg`;
+}
+
+export function cubeEmbedUrl(origin, tokenId) {
+  return `${origin}/cube/${tokenId}/embed`;
+}
@@ -0,0 +1,143 @@
+// src/lib/protocolSnapshot.js
+
+/*
+  Client side of /api/snapshot: one cached read of the protocol values the
+  Dashboard, Observer and Q.O.R.I all display.
+
+  Bump SNAPSHOT_VERSION whenever the document's shape changes; clients
+  reject other versions and fall back to reading the chain directly.
+
+  The same documents feed /api/stream, whose typed events come from
+  diffProtocolSnapshots.
+*/
+
+export const SNAPSHOT_VERSION = 1;
+
+export const SNAPSHOT_UINT_FIELDS = [
+  "totalMinted",
+  "energonHeight",
+  "secondsUntilNextEnergonBlock",
+  "launchTime",
+  "lastHalvingTime",
+  "halvingInterval",
+  "burnPoolRemaining",
+  "currentRewardPerBlock",
+];
+
+const SNAPSHOT_TIMEOUT_MS = 4000;
+const MAX_COUNTDOWN_DRIFT_SEC = 60;
+
+function toBigIntOrNull(value) {
+  if (value === null || value === undefined) return null;
+
+  try {
+    return BigInt(value);
+  } catch {
+    return null;
+  }
+}
+
+export const PROTOCOL_EVENT_TYPES = [
+  "height",
+  "tick-window",
+  "burn",
+  "mint",
+  "halving",
+];
+
+/*
+  Turns a raw /api/snapshot document into the client shape: uint fields
+  as BigInt (null where the server could not read them), with
+  secondsUntilNextEnergonBlock aged by the time since the server read it.
+*/
+export function parseProtocolSnapshot(json) {
+  if (json?.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${json?.version}`);
+  }
+
+  const snapshot = { ...json };
+
+  for (const field of SNAPSHOT_UINT_FIELDS) {
+    snapshot[field] = toBigIntOrNull(json[field]);
+  }
+
+  const elapsed = Math.floor((Date.now() - Number(json.readAt || 0)) / 1000);
+
+  if (
+    snapshot.secondsUntilNextEnergonBlock !== null &&
+    elapsed > 0 &&
+    elapsed <= MAX_COUNTDOWN_DRIFT_SEC
+  ) {
+    const left = snapshot.secondsUntilNextEnergonBlock - BigInt(elapsed);
+    snapshot.secondsUntilNextEnergonBlock = left > 0n ? left : 0n;
+  }
+
+  return snapshot;
+}
+
+/*
+  Rejects on any transport, status or version problem so callers can fall
+  back to the chain.
+*/
+export async function fetchProtocolSnapshot() {
+  const response = await fetch("/api/snapshot", {
+    signal: AbortSignal.timeout(SNAPSHOT_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Snapshot request failed: ${response.status}`);
+  }
+
+  return parseProtocolSnapshot(await response.json());
+}
+
+/*
+  Typed changes between two snapshots, in either the raw (string) or the
+  parsed (BigInt) shape. Values in the events are decimal strings.
+*/
+export function diffProtocolSnapshots(prev, next) {
+  const field = (snapshot, key) => toBigIntOrNull(snapshot?.[key]);
+  const events = [];
+
+  const height = [field(prev, "energonHeight"), field(next, "energonHeight")];
+  if (height[0] !== null && height[1] !== null && height[1] > height[0]) {
+    events.push({
+      type: "height",
+      from: height[0].toString(),
+      to: height[1].toString(),
+    });
+  }
+
+  const wait = [
+    field(prev, "secondsUntilNextEnergonBlock"),
+    field(next, "secondsUntilNextEnergonBlock"),
+  ];
+  if (wait[0] !== null && wait[1] !== null && wait[0] > 0n && wait[1] === 0n) {
+    events.push({
+      type: "tick-window",
+      energonHeight: height[1] === null ? null : height[1].toString(),
+    });
+  }
+
+  for (const [type, key] of [
+    ["burn", "burnPoolRemaining"],
+    ["mint", "totalMinted"],
+  ]) {
+    const from = field(prev, key);
+    const to = field(next, key);
+
+    if (from !== null && to !== null && from !== to) {
+      events.push({ type, from: from.toString(), to: to.toString() });
+    }
+  }
+
+  const halving = [
+    field(prev, "lastHalvingTime"),
+    field(next, "lastHalvingTime"),
+  ];
+  if (halving[0] !== null && halving[1] !== null && halving[1] > halving[0]) {
+    events.push({ type: "halving", lastHalvingTime: halving[1].toString() });
+  }
+
+  return events;
+}
@@ -0,0 +1,145 @@
+// src/lib/protocolStream.js
+
+import {
+  PROTOCOL_EVENT_TYPES,
+  diffProtocolSnapshots,
+  fetchProtocolSnapshot,
+  parseProtocolSnapshot,
+} from "./protocolSnapshot";
+
+/*
+  One /api/stream connection per tab, shared by every subscriber.
+
+  Listeners get { type, snapshot, ...details } for each protocol event,
+  plus a "snapshot" event whenever a fresh document arrives. Changes that
+  happened while the stream was reconnecting are recovered by diffing the
+  reconnect snapshot against the last one seen.
+
+  Without EventSource, once the browser gives up on the stream (a non-200
+  response), or after MAX_STREAM_ERRORS reconnect failures in a row, the
+  tab falls back to polling /api/snapshot every POLL_FALLBACK_MS and
+  derives the same events locally.
+*/
+
+const MAX_STREAM_ERRORS = 3;
+const POLL_FALLBACK_MS = 15_000;
+
+const listeners = new Set();
+
+let source = null;
+let pollTimer = null;
+let streamErrors = 0;
+let lastSnapshot = null;
+
+function emit(event) {
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error("Protocol stream listener failed:", err);
+    }
+  }
+}
+
+function acceptSnapshot(snapshot) {
+  const missed = lastSnapshot
+    ? diffProtocolSnapshots(lastSnapshot, snapshot)
+    : [];
+
+  lastSnapshot = snapshot;
+  emit({ type: "snapshot", snapshot });
+
+  for (const event of missed) {
+    emit({ ...event, snapshot });
+  }
+}
+
+async function pollOnce() {
+  try {
+    acceptSnapshot(await fetchProtocolSnapshot());
+  } catch (err) {
+    console.warn("Protocol snapshot poll failed:", err?.message || err);
+  }
+}
+
+function startPolling() {
+  if (pollTimer) return;
+
+  pollOnce();
+  pollTimer = setInterval(pollOnce, POLL_FALLBACK_MS);
+}
+
+function openStream() {
+  source = new EventSource("/api/stream");
+
+  source.addEventListener("snapshot", (message) => {
+    streamErrors = 0;
+    acceptSnapshot(parseProtocolSnapshot(JSON.parse(message.data).snapshot));
+  });
+
+  for (const type of PROTOCOL_EVENT_TYPES) {
+    source.addEventListener(type, (message) => {
+      streamErrors = 0;
+
+      const { snapshot, ...details } = JSON.parse(message.data);
+      lastSnapshot = parseProtocolSnapshot(snapshot);
+
+      emit({ ...details, type, snapshot: lastSnapshot });
+    });
+  }
+
+  // A non-200 or non-event-stream response closes the EventSource for
+  // good, so poll straight away; only count errors it will retry itself.
+  source.onerror = () => {
+    streamErrors += 1;
+
+    if (
+      source.readyState === EventSource.CLOSED ||
+      streamErrors >= MAX_STREAM_ERRORS
+    ) {
+      console.warn("Protocol stream unavailable; polling instead");
+      source.close();
+      source = null;
+      startPolling();
+    }
+  };
+}
+
+function start() {
+  if (typeof window === "undefined") return;
+
+  if (typeof window.EventSource === "undefined") {
+    startPolling();
+  } else {
+    openStream();
+  }
+}
+
+function stop() {
+  source?.close();
+  source = null;
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  streamErrors = 0;
+}
+
+/*
+  Returns an unsubscribe function. A late subscriber gets the last known
+  snapshot straight away.
+*/
+export function subscribeProtocolStream(listener) {
+  listeners.add(listener);
+
+  if (listeners.size === 1) {
+    start();
+  } else if (lastSnapshot) {
+    listener({ type: "snapshot", snapshot: lastSnapshot });
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (!listeners.size) stop();
+  };
+}
@@ -0,0 +1,61 @@
+// src/lib/rpcRanking.js
+
+/*
+  Client side of /api/rpc-health. The ranking is shared per tab and kept
+  for RPC_RANKING_TTL_MS; a failed or empty fetch resolves to an empty
+  ranking, so callers keep their default order, and is not cached.
+*/
+
+const RANKING_TIMEOUT_MS = 3000;
+
+export const RPC_RANKING_TTL_MS = 30_000;
+
+let rankingPromise = null;
+let rankingFetchedAt = 0;
+
+export function fetchRpcRanking() {
+  if (!rankingPromise || Date.now() - rankingFetchedAt > RPC_RANKING_TTL_MS) {
+    const promise = fetch("/api/rpc-health", {
+      signal: AbortSignal.timeout(RANKING_TIMEOUT_MS),
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((json) =>
+        (json?.endpoints || [])
+          .filter((endpoint) => endpoint.healthy)
+          .map((endpoint) => endpoint.url)
+      )
+      .catch(() => [])
+      .then((ranking) => {
+        if (!ranking.length && rankingPromise === promise) {
+          rankingPromise = null;
+        }
+
+        return ranking;
+      });
+
+    rankingPromise = promise;
+    rankingFetchedAt = Date.now();
+  }
+
+  return rankingPromise;
+}
+
+/*
+  Index in `rpcList` of the healthiest ranked endpoint, or null when none
+  of the list is known to be healthy.
+*/
+export async function fetchPreferredRpcIndex(rpcList) {
+  const ranking = await fetchRpcRanking();
+
+  for (const url of ranking) {
+    const index = rpcList.indexOf(url);
+    if (index >= 0) return index;
+  }
+
+  return null;
+}
+
+export async function fetchPreferredRpcUrl(rpcList) {
+  const index = await fetchPreferredRpcIndex(rpcList);
+  return index === null ? rpcList[0] || "" : rpcList[index];
+}
@@ -0,0 +1,379 @@
+import { Interface, formatUnits } from "ethers";
+import { ABI, CONTRACT_ADDRESS, EXPLORER_TX } from "../contract";
+import { CONTROLLER_ABI, CONTROLLER_ADDRESS } from "../controller";
+import { getBlockNumber, getLogs } from "./flareRead";
+import { readControllerViews } from "./controllerRead";
+
+/*
+  Protocol announcer.
+
+  Each run picks up from the last Flare block it finished, decodes new
+  EnergonCube mints and EnergonBlockProcessed logs, and posts embeds to
+  the Discord webhook in DISCORD_ANNOUNCE_WEBHOOK_URL:
+
+  - Energon Height advanced (one summary per run)
+  - mint milestones, every MINT_MILESTONE cubes
+  - missed-tick gaps (an Energon block that processed more than one step)
+  - halvings, detected from a change in lastHalvingTime
+
+  The cursor only moves after the webhook accepted the posts, so a failed
+  run is retried from the same block. When a run needs more than one
+  webhook message, its block range is pinned in pending_to_block and
+  each accepted message is counted in posted_messages, so a retry skips
+  the messages that already went out instead of posting them twice.
+*/
+
+// Same cadence as the Observer's SPARK_MILESTONE.
+const MINT_MILESTONE = 100;
+
+const MAX_BLOCKS_PER_RUN = 600;
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_RATE_LIMIT_WAIT_MS = 5000;
+
+export const COLOR_SIGNAL = 0x00ffc6;
+const COLOR_INFO = 0x1ec8ff;
+export const COLOR_ALERT = 0xff7070;
+
+const ZERO_TOPIC = "0x" + "0".repeat(64);
+
+const cubeInterface = new Interface(ABI);
+const controllerInterface = new Interface(CONTROLLER_ABI);
+
+const TRANSFER_TOPIC = cubeInterface.getEvent("Transfer").topicHash;
+const PROCESSED_TOPIC =
+  controllerInterface.getEvent("EnergonBlockProcessed").topicHash;
+
+let announcerTableReady = null;
+
+function ensureAnnouncerTable(sql) {
+  if (!announcerTableReady) {
+    announcerTableReady = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS announcer_state (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `;
+    })().catch((err) => {
+      announcerTableReady = null;
+      throw err;
+    });
+  }
+
+  return announcerTableReady;
+}
+
+async function readAnnouncerState(sql) {
+  const rows = await sql`SELECT key, value FROM announcer_state`;
+  return Object.fromEntries(rows.map((row) => [row.key, row.value]));
+}
+
+async function writeAnnouncerState(sql, key, value) {
+  await sql`
+    INSERT INTO announcer_state (key, value, updated_at)
+    VALUES (${key}, ${String(value)}, now())
+    ON CONFLICT (key) DO UPDATE SET
+      value = EXCLUDED.value,
+      updated_at = now()
+  `;
+}
+
+async function collectEvents(fromBlock, toBlock) {
+  const [mintLogs, processedLogs] = await Promise.all([
+    getLogs({
+      address: CONTRACT_ADDRESS,
+      topics: [TRANSFER_TOPIC, ZERO_TOPIC],
+      fromBlock,
+      toBlock,
+    }),
+    getLogs({
+      address: CONTROLLER_ADDRESS,
+      topics: [PROCESSED_TOPIC],
+      fromBlock,
+      toBlock,
+    }),
+  ]);
+
+  const mints = mintLogs.map((log) => {
+    const { args } = cubeInterface.parseLog(log);
+
+    return {
+      tokenId: args[2],
+      to: args[1].toLowerCase(),
+      txHash: log.transactionHash,
+    };
+  });
+
+  const processed = processedLogs.map((log) => {
+    const { args } = controllerInterface.parseLog(log);
+
+    return {
+      height: args[0],
+      steps: args[1],
+      seed: args[2],
+      txHash: log.transactionHash,
+    };
+  });
+
+  return { mints, processed };
+}
+
+function formatCount(value) {
+  return Number(value).toLocaleString("en-US");
+}
+
+function formatEon(wei) {
+  return Number(formatUnits(wei, 18)).toLocaleString("en-US", {
+    maximumFractionDigits: 2,
+  });
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function processedEmbed(processed) {
+  const first = processed[0];
+  const last = processed[processed.length - 1];
+
+  const heights =
+    processed.length === 1
+      ? formatCount(last.height)
+      : `${formatCount(first.height)} → ${formatCount(last.height)}`;
+
+  return {
+    title: `Energon Height ${formatCount(last.height)}`,
+    url: EXPLORER_TX(last.txHash),
+    color: COLOR_SIGNAL,
+    description: `${processed.length} Energon ${
+      processed.length === 1 ? "block" : "blocks"
+    } processed.`,
+    fields: [
+      { name: "Height", value: heights, inline: true },
+      { name: "Seed", value: `\`${last.seed.slice(0, 18)}…\``, inline: true },
+    ],
+  };
+}
+
+function milestoneEmbed(mint) {
+  return {
+    title: `Mint milestone: ${formatCount(mint.tokenId)} EnergonCubes`,
+    url: EXPLORER_TX(mint.txHash),
+    color: COLOR_INFO,
+    description: `EnergonCube #${mint.tokenId} minted to \`${shortAddress(
+      mint.to
+    )}\`.`,
+  };
+}
+
+function gapEmbed(event) {
+  const missed = event.steps - 1n;
+
+  return {
+    title: "Missed-tick gap",
+    url: EXPLORER_TX(event.txHash),
+    color: COLOR_ALERT,
+    description: `Energon Height ${formatCount(event.height)} caught up ${
+      event.steps
+    } steps at once: ${missed} scheduled Energon ${
+      missed === 1n ? "block was" : "blocks were"
+    } not ticked on time.`,
+  };
+}
+
+function halvingEmbed(views) {
+  const fields = [];
+
+  if (views.currentRewardPerBlock !== null) {
+    fields.push({
+      name: "Reward per block",
+      value: `${formatEon(views.currentRewardPerBlock)} EON`,
+      inline: true,
+    });
+  }
+
+  if (views.halvingInterval !== null) {
+    const next = Number(views.lastHalvingTime + views.halvingInterval);
+    fields.push({ name: "Next halving", value: `<t:${next}:D>`, inline: true });
+  }
+
+  return {
+    title: "Halving",
+    color: COLOR_SIGNAL,
+    description: `The Energon reward halved at <t:${Number(
+      views.lastHalvingTime
+    )}:F>.`,
+    fields,
+  };
+}
+
+function webhookUrlWithWait(webhookUrl) {
+  const url = new URL(webhookUrl);
+  url.searchParams.set("wait", "true");
+  return url.toString();
+}
+
+async function postWebhookMessage(webhookUrl, embeds, retry = true) {
+  const response = await fetch(webhookUrlWithWait(webhookUrl), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      embeds,
+      allowed_mentions: { parse: [] },
+    }),
+  });
+
+  if (response.status === 429 && retry) {
+    const body = await response.json().catch(() => ({}));
+    const waitMs = Math.min(
+      MAX_RATE_LIMIT_WAIT_MS,
+      Math.ceil(Number(body?.retry_after || 1) * 1000)
+    );
+
+    await new Promise((resolve) => setTimeout(resolve, waitMs));
+    return postWebhookMessage(webhookUrl, embeds, false);
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+
+    throw new Error(
+      `Discord webhook post failed (${response.status}): ${errorText}`
+    );
+  }
+}
+
+/*
+  Posts embeds MAX_EMBEDS_PER_MESSAGE at a time. skipMessages leaves out
+  messages an earlier attempt already posted; onMessagePosted(count) runs
+  after each accepted message.
+*/
+export async function postEmbeds(
+  webhookUrl,
+  embeds,
+  { skipMessages = 0, onMessagePosted } = {}
+) {
+  for (
+    let i = skipMessages * MAX_EMBEDS_PER_MESSAGE;
+    i < embeds.length;
+    i += MAX_EMBEDS_PER_MESSAGE
+  ) {
+    await postWebhookMessage(
+      webhookUrl,
+      embeds.slice(i, i + MAX_EMBEDS_PER_MESSAGE)
+    );
+
+    await onMessagePosted?.(i / MAX_EMBEDS_PER_MESSAGE + 1);
+  }
+}
+
+export async function runAnnouncer(sql) {
+  const webhookUrl = process.env.DISCORD_ANNOUNCE_WEBHOOK_URL;
+
+  if (!webhookUrl) {
+    throw new Error("Missing DISCORD_ANNOUNCE_WEBHOOK_URL");
+  }
+
+  await ensureAnnouncerTable(sql);
+
+  const [state, latestBlock, views] = await Promise.all([
+    readAnnouncerState(sql),
+    getBlockNumber(),
+    readControllerViews(
+      ["lastHalvingTime", "halvingInterval", "currentRewardPerBlock"],
+      { cacheTtlMs: 0 }
+    ),
+  ]);
+
+  /*
+    The first run only records where the chain is; it does not replay
+    history into the channel.
+  */
+  if (state.last_block === undefined) {
+    await writeAnnouncerState(sql, "last_block", latestBlock);
+
+    if (views.lastHalvingTime !== null) {
+      await writeAnnouncerState(sql, "last_halving_time", views.lastHalvingTime);
+    }
+
+    return {
+      initialized: true,
+      latestBlock,
+      posted: 0,
+    };
+  }
+
+  const pending = state.pending_to_block !== undefined;
+  const fromBlock = Number(state.last_block) + 1;
+  const toBlock = pending
+    ? Number(state.pending_to_block)
+    : Math.min(latestBlock, fromBlock + MAX_BLOCKS_PER_RUN - 1);
+  const postedMessages = pending ? Number(state.posted_messages || 0) : 0;
+
+  const { mints, processed } =
+    fromBlock <= toBlock
+      ? await collectEvents(fromBlock, toBlock)
+      : { mints: [], processed: [] };
+
+  const milestones = mints.filter(
+    (mint) => mint.tokenId % BigInt(MINT_MILESTONE) === 0n
+  );
+
+  const gaps = processed.filter((event) => event.steps > 1n);
+
+  const halved =
+    views.lastHalvingTime !== null &&
+    state.last_halving_time !== undefined &&
+    views.lastHalvingTime > BigInt(state.last_halving_time);
+
+  const embeds = [
+    ...(processed.length ? [processedEmbed(processed)] : []),
+    ...gaps.map(gapEmbed),
+    ...milestones.map(milestoneEmbed),
+    ...(halved ? [halvingEmbed(views)] : []),
+  ];
+
+  const multiMessage = embeds.length > MAX_EMBEDS_PER_MESSAGE;
+
+  if (!pending && multiMessage) {
+    await writeAnnouncerState(sql, "posted_messages", 0);
+    await writeAnnouncerState(sql, "pending_to_block", toBlock);
+  }
+
+  await postEmbeds(webhookUrl, embeds, {
+    skipMessages: postedMessages,
+    onMessagePosted: (count) =>
+      writeAnnouncerState(sql, "posted_messages", count),
+  });
+
+  if (fromBlock <= toBlock) {
+    await writeAnnouncerState(sql, "last_block", toBlock);
+  }
+
+  if (pending || multiMessage) {
+    await sql`
+      DELETE FROM announcer_state
+      WHERE key IN ('pending_to_block', 'posted_messages')
+    `;
+  }
+
+  if (views.lastHalvingTime !== null) {
+    await writeAnnouncerState(sql, "last_halving_time", views.lastHalvingTime);
+  }
+
+  return {
+    initialized: false,
+    fromBlock,
+    toBlock,
+    latestBlock,
+    mints: mints.length,
+    processed: processed.length,
+    milestones: milestones.length,
+    gaps: gaps.length,
+    halved,
+    posted: Math.max(0, embeds.length - postedMessages * MAX_EMBEDS_PER_MESSAGE),
+  };
+}
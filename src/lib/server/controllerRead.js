@@ -0,0 +1,34 @@
+import { Interface } from "ethers";
+import { CONTROLLER_ABI, CONTROLLER_ADDRESS } from "../controller";
+import { ethCall } from "./flareRead";
+
+/*
+  Controller view calls routed through the shared Flare read client, so
+  they share its failover, batching and short-lived cache.
+*/
+
+const controllerInterface = new Interface(CONTROLLER_ABI);
+
+export async function readController(functionName, args = [], options) {
+  const data = controllerInterface.encodeFunctionData(functionName, args);
+  const result = await ethCall(CONTROLLER_ADDRESS, data, options);
+
+  return controllerInterface.decodeFunctionResult(functionName, result)[0];
+}
+
+/*
+  Reads several no-argument views at once. A view that fails comes back
+  as null instead of failing the whole read.
+*/
+export async function readControllerViews(functionNames, options) {
+  const results = await Promise.allSettled(
+    functionNames.map((name) => readController(name, [], options))
+  );
+
+  return Object.fromEntries(
+    functionNames.map((name, index) => [
+      name,
+      results[index].status === "fulfilled" ? results[index].value : null,
+    ])
+  );
+}
@@ -0,0 +1,71 @@
+/*
+  Slash commands answered by /api/discord/interactions.
+
+  Registered per guild, so changes show up immediately instead of after
+  Discord's global command propagation delay.
+*/
+
+const DISCORD_API = "https://discord.com/api/v10";
+
+const STRING_OPTION = 3;
+
+export const DISCORD_COMMANDS = [
+  {
+    name: "height",
+    description: "Current Energon Height and time until the next Energon block.",
+  },
+  {
+    name: "guardian",
+    description: "Check whether a wallet is a Coherent Guardian.",
+    options: [
+      {
+        type: STRING_OPTION,
+        name: "wallet",
+        description: "Flare wallet address (0x…)",
+        required: true,
+      },
+    ],
+  },
+  {
+    name: "halving",
+    description: "Next halving date and the current reward per block.",
+  },
+  {
+    name: "reading",
+    description: "A full protocol reading from Q.O.R.I.",
+  },
+];
+
+export async function registerDiscordCommands() {
+  const applicationId = process.env.DISCORD_CLIENT_ID;
+  const botToken = process.env.DISCORD_BOT_TOKEN;
+  const guildId = process.env.DISCORD_GUILD_ID;
+
+  if (!applicationId || !botToken || !guildId) {
+    throw new Error("Discord command environment variables are missing.");
+  }
+
+  const response = await fetch(
+    `${DISCORD_API}/applications/${applicationId}/guilds/${guildId}/commands`,
+    {
+      method: "PUT",
+      headers: {
+        Authorization: `Bot ${botToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(DISCORD_COMMANDS),
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+
+    throw new Error(
+      `Discord command registration failed (${response.status}): ${errorText}`
+    );
+  }
+
+  const registered = await response.json();
+
+  return registered.map((command) => command.name);
+}
@@ -0,0 +1,182 @@
+import { getCubeRoleTraits } from "../cubeAttributes";
+
+/*
+  Discord guild role changes made by the bot.
+
+  Both calls treat Discord's 204 as success. Removing a role from a member
+  who already left the guild (404) is also treated as done.
+
+  Trait roles are optional and configured as JSON maps of trait value to
+  role id:
+
+    DISCORD_RARITY_ROLE_IDS      {"Mythic": "…", "Genesis": "…", "Omega": "…"}
+    DISCORD_PLASMA_CORE_ROLE_IDS {"Flare Ember": "…", "Ion Drift": "…"}
+*/
+
+const DISCORD_API = "https://discord.com/api/v10";
+
+function getDiscordRoleConfig(roleId = process.env.DISCORD_GUARDIAN_ROLE_ID) {
+  const botToken = process.env.DISCORD_BOT_TOKEN;
+  const guildId = process.env.DISCORD_GUILD_ID;
+
+  if (!botToken || !guildId || !roleId) {
+    throw new Error("Discord role environment variables are missing.");
+  }
+
+  return { botToken, guildId, roleId };
+}
+
+async function changeMemberRole(method, discordUserId, roleId) {
+  const config = getDiscordRoleConfig(roleId);
+
+  const response = await fetch(
+    `${DISCORD_API}/guilds/${config.guildId}/members/${discordUserId}/roles/${config.roleId}`,
+    {
+      method,
+      headers: {
+        Authorization: `Bot ${config.botToken}`,
+      },
+    }
+  );
+
+  if (response.status === 204) {
+    return true;
+  }
+
+  if (method === "DELETE" && response.status === 404) {
+    return false;
+  }
+
+  const errorText = await response.text();
+  const action = method === "PUT" ? "assignment" : "removal";
+
+  throw new Error(
+    `Discord role ${action} failed (${response.status}): ${errorText}`
+  );
+}
+
+export async function assignGuardianRole(discordUserId, roleId) {
+  return changeMemberRole("PUT", discordUserId, roleId);
+}
+
+export async function removeGuardianRole(discordUserId, roleId) {
+  return changeMemberRole("DELETE", discordUserId, roleId);
+}
+
+function parseRoleMap(envName) {
+  const value = process.env[envName];
+  if (!value) return {};
+
+  try {
+    const parsed = JSON.parse(value);
+
+    return Object.fromEntries(
+      Object.entries(parsed || {}).filter(
+        ([, roleId]) => typeof roleId === "string" && /^[0-9]+$/.test(roleId)
+      )
+    );
+  } catch {
+    console.warn(`${envName} is not valid JSON; ignoring trait roles.`);
+    return {};
+  }
+}
+
+function getTraitRoleMaps() {
+  return {
+    rarity: parseRoleMap("DISCORD_RARITY_ROLE_IDS"),
+    plasmaCore: parseRoleMap("DISCORD_PLASMA_CORE_ROLE_IDS"),
+  };
+}
+
+/*
+  Role ids a holder of these cubes should carry, one rarity role and one
+  plasma core role per cube where configured.
+*/
+export function getTraitRoleIds(cubeIds) {
+  const maps = getTraitRoleMaps();
+  const roleIds = new Set();
+
+  for (const cubeId of cubeIds) {
+    const traits = getCubeRoleTraits(cubeId);
+
+    if (maps.rarity[traits.rarityTier]) {
+      roleIds.add(maps.rarity[traits.rarityTier]);
+    }
+
+    if (traits.plasmaCore && maps.plasmaCore[traits.plasmaCore]) {
+      roleIds.add(maps.plasmaCore[traits.plasmaCore]);
+    }
+  }
+
+  return roleIds;
+}
+
+async function getMemberRoleIds(discordUserId) {
+  const config = getDiscordRoleConfig();
+
+  const response = await fetch(
+    `${DISCORD_API}/guilds/${config.guildId}/members/${discordUserId}`,
+    {
+      headers: {
+        Authorization: `Bot ${config.botToken}`,
+      },
+    }
+  );
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+
+    throw new Error(
+      `Discord member lookup failed (${response.status}): ${errorText}`
+    );
+  }
+
+  const member = await response.json();
+  return new Set(member.roles || []);
+}
+
+/*
+  Brings a member's trait roles in line with the cubes they hold: adds
+  the missing ones and removes configured trait roles they no longer
+  qualify for. Roles outside the trait maps are never touched.
+
+  Returns false when the member is not in the guild.
+*/
+export async function syncTraitRoles(discordUserId, cubeIds) {
+  const maps = getTraitRoleMaps();
+
+  const configured = new Set([
+    ...Object.values(maps.rarity),
+    ...Object.values(maps.plasmaCore),
+  ]);
+
+  if (!configured.size) {
+    return true;
+  }
+
+  const current = await getMemberRoleIds(discordUserId);
+
+  if (!current) {
+    return false;
+  }
+
+  const desired = getTraitRoleIds(cubeIds);
+
+  for (const roleId of desired) {
+    if (!current.has(roleId)) {
+      await changeMemberRole("PUT", discordUserId, roleId);
+    }
+  }
+
+  for (const roleId of configured) {
+    if (current.has(roleId) && !desired.has(roleId)) {
+      await changeMemberRole("DELETE", discordUserId, roleId);
+    }
+  }
+
+  return true;
+}
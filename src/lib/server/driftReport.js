@@ -0,0 +1,180 @@
+import { ENERGON_BLOCK_TIME } from "../contract";
+import { readControllerViews } from "./controllerRead";
+import { ensureIndexerTables } from "./eventIndexer";
+import { getTickGraceSeconds, readTickGaps } from "./tickWatchdog";
+
+/*
+  Energon clock drift: how far the Energon clock runs behind the
+  ENERGON_BLOCK_TIME schedule.
+
+  Drift over a span is the wall time it took minus ENERGON_BLOCK_TIME for
+  every height it advanced. The cumulative figure comes from the
+  controller (launchTime to lastTickTime against energonHeight), plus the
+  overdue time of a stall that is still open; the indexed
+  EnergonBlockProcessed history only feeds the daily breakdown and the
+  mean tick delay.
+
+  Halvings are time-based (lastHalvingTime + halvingInterval), so tick
+  pace does not stretch them. The projection assumes a halving takes
+  effect on the first tick after it is due, i.e. late by the mean delay
+  between a tick becoming due and being called.
+*/
+
+const DAILY_DAYS = 30;
+const GAP_LIMIT = 50;
+const PROJECTED_HALVINGS = 3;
+
+const DRIFT_VIEWS = [
+  "energonHeight",
+  "secondsUntilNextEnergonBlock",
+  "nextEnergonTimestamp",
+  "lastTickTime",
+  "launchTime",
+  "lastHalvingTime",
+  "halvingInterval",
+];
+
+function toNumberOrNull(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function summarizeSpan(elapsedSeconds, heights) {
+  return {
+    elapsedSeconds,
+    heights,
+    actualBlockTime: heights > 0 ? elapsedSeconds / heights : null,
+    driftSeconds: elapsedSeconds - heights * ENERGON_BLOCK_TIME,
+  };
+}
+
+function projectHalvings(views, tickLatenessSeconds) {
+  const last = toNumberOrNull(views.lastHalvingTime);
+  const interval = toNumberOrNull(views.halvingInterval);
+
+  if (!last || !interval) return [];
+
+  return Array.from({ length: PROJECTED_HALVINGS }, (_, i) => {
+    const scheduledAt = last + interval * (i + 1);
+
+    return {
+      scheduledAt,
+      projectedAt: scheduledAt + tickLatenessSeconds,
+      shiftSeconds: tickLatenessSeconds,
+    };
+  });
+}
+
+export async function readDriftReport(sql) {
+  await ensureIndexerTables(sql);
+
+  const [views, spanRows, dailyRows, latenessRows, gaps] = await Promise.all([
+    readControllerViews(DRIFT_VIEWS),
+    sql`
+      SELECT
+        COUNT(*)::int AS ticks,
+        MIN(energon_height)::text AS from_height,
+        MAX(energon_height)::text AS to_height,
+        EXTRACT(EPOCH FROM MIN(block_time))::float8 AS from_time,
+        EXTRACT(EPOCH FROM MAX(block_time))::float8 AS to_time
+      FROM energon_blocks
+    `,
+    sql`
+      WITH ticks AS (
+        SELECT
+          block_time,
+          energon_height - LAG(energon_height) OVER w AS heights,
+          EXTRACT(EPOCH FROM block_time - LAG(block_time) OVER w) AS elapsed
+        FROM energon_blocks
+        WINDOW w AS (ORDER BY energon_height)
+      )
+      SELECT
+        to_char(block_time AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day,
+        COUNT(*)::int AS ticks,
+        SUM(heights)::int AS heights,
+        SUM(elapsed)::float8 AS elapsed
+      FROM ticks
+      WHERE heights IS NOT NULL
+      GROUP BY 1
+      ORDER BY 1 DESC
+      LIMIT ${DAILY_DAYS}
+    `,
+    sql`
+      WITH ticks AS (
+        SELECT
+          energon_height - LAG(energon_height) OVER w AS heights,
+          EXTRACT(EPOCH FROM block_time - LAG(block_time) OVER w) AS elapsed
+        FROM energon_blocks
+        WINDOW w AS (ORDER BY energon_height)
+      )
+      SELECT
+        AVG(GREATEST(0, elapsed - heights * ${ENERGON_BLOCK_TIME}))::float8 AS lateness
+      FROM ticks
+      WHERE heights IS NOT NULL
+    `,
+    readTickGaps(sql, { limit: GAP_LIMIT }),
+  ]);
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  const span = spanRows[0];
+
+  const indexed =
+    span?.ticks > 1
+      ? {
+          fromHeight: span.from_height,
+          toHeight: span.to_height,
+          fromTime: Math.round(span.from_time),
+          toTime: Math.round(span.to_time),
+          ticks: span.ticks,
+          ...summarizeSpan(
+            span.to_time - span.from_time,
+            Number(span.to_height) - Number(span.from_height)
+          ),
+        }
+      : null;
+
+  const stalled = views.secondsUntilNextEnergonBlock === 0n;
+  const dueAt = toNumberOrNull(views.nextEnergonTimestamp);
+  const overdueSeconds =
+    stalled && dueAt !== null ? Math.max(0, nowSec - dueAt) : 0;
+
+  const launchTime = toNumberOrNull(views.launchTime);
+  const lastTickTime = toNumberOrNull(views.lastTickTime);
+  const energonHeight = toNumberOrNull(views.energonHeight);
+
+  const sinceLaunch =
+    launchTime && lastTickTime !== null && energonHeight !== null
+      ? { launchTime, ...summarizeSpan(lastTickTime - launchTime, energonHeight) }
+      : null;
+
+  const tickLatenessSeconds = Math.round(latenessRows[0]?.lateness || 0);
+
+  return {
+    targetBlockTime: ENERGON_BLOCK_TIME,
+    graceSeconds: getTickGraceSeconds(),
+    energonHeight: views.energonHeight?.toString() ?? null,
+    lastTickTime,
+    nextEnergonTimestamp: dueAt,
+    stalled,
+    overdueSeconds,
+    sinceLaunch,
+    indexed,
+    cumulativeDriftSeconds: sinceLaunch
+      ? sinceLaunch.driftSeconds + overdueSeconds
+      : null,
+    tickLatenessSeconds,
+    daily: dailyRows.map((row) => ({
+      day: row.day,
+      ticks: row.ticks,
+      ...summarizeSpan(row.elapsed, row.heights),
+    })),
+    gaps: gaps.map((gap) => ({
+      energonHeight: gap.energon_height,
+      dueAt: gap.due_at,
+      resolvedAt: gap.resolved_at,
+      resolvedHeight: gap.resolved_height,
+      gapSeconds: Math.round(gap.gap_seconds),
+      flagged: Boolean(gap.flagged_at),
+    })),
+    halvings: projectHalvings(views, tickLatenessSeconds),
+  };
+}
@@ -0,0 +1,397 @@
+import { ensureIndexerTables } from "./eventIndexer";
+
+/*
+  Read side of the event indexer. Everything here only sees what the
+  indexer has stored so far; indexedBlock says how far that is.
+*/
+
+const ZERO_ADDRESS = "0x" + "0".repeat(40);
+
+async function readIndexedBlock(sql) {
+  const rows = await sql`
+    SELECT value FROM indexer_state WHERE key = 'last_block'
+  `;
+
+  return rows.length ? Number(rows[0].value) : null;
+}
+
+/*
+  Cube ids are minted sequentially from 1 and the indexer covers a
+  contiguous block range, so an indexed mint of token 1 means every
+  Transfer since deployment is in cube_transfers. Anything replayed from
+  Transfers is only a fact when this is true.
+*/
+async function readTransferHistoryComplete(sql) {
+  const rows = await sql`
+    SELECT 1 FROM cube_transfers
+    WHERE from_address = ${ZERO_ADDRESS} AND token_id = 1
+    LIMIT 1
+  `;
+
+  return rows.length > 0;
+}
+
+/*
+  The cube a wallet received last and has not passed on since, going by
+  the indexed Transfers, or null. Only as current as the indexer.
+*/
+export async function readIndexedHeldCube(sql, wallet) {
+  await ensureIndexerTables(sql);
+
+  const rows = await sql`
+    SELECT held.token_id::text AS token_id
+    FROM cube_transfers held
+    WHERE held.to_address = ${wallet.toLowerCase()}
+      AND NOT EXISTS (
+        SELECT 1 FROM cube_transfers later
+        WHERE later.token_id = held.token_id
+          AND (later.block_number, later.log_index) >
+            (held.block_number, held.log_index)
+      )
+    ORDER BY held.block_number DESC, held.log_index DESC
+    LIMIT 1
+  `;
+
+  return rows.length ? BigInt(rows[0].token_id) : null;
+}
+
+/*
+  Mint time of a cube and the time `owner` received it, from the indexed
+  Transfers (epoch seconds). heldSince is the latest Transfer of the cube
+  and is null when that Transfer did not go to `owner`, i.e. the index is
+  behind the chain.
+*/
+export async function readCubeTransferTimes(sql, tokenId, owner) {
+  await ensureIndexerTables(sql);
+
+  const [mints, latest] = await Promise.all([
+    sql`
+      SELECT EXTRACT(EPOCH FROM block_time)::float8 AS block_time
+      FROM cube_transfers
+      WHERE token_id = ${tokenId} AND from_address = ${ZERO_ADDRESS}
+      ORDER BY block_number, log_index
+      LIMIT 1
+    `,
+    sql`
+      SELECT to_address, EXTRACT(EPOCH FROM block_time)::float8 AS block_time
+      FROM cube_transfers
+      WHERE token_id = ${tokenId}
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `,
+  ]);
+
+  const last = latest[0];
+
+  return {
+    mintedAt: mints.length ? Math.round(mints[0].block_time) : null,
+    heldSince:
+      last && last.to_address === owner.toLowerCase()
+        ? Math.round(last.block_time)
+        : null,
+  };
+}
+
+/*
+  RewardPaid rows for one wallet, newest first. The Energon height comes
+  from the EnergonBlockProcessed log emitted by the same tick transaction.
+
+  Rows and totals stop at maxBlock, by default the indexer cursor read
+  first, so paging with the returned indexedBlock as maxBlock stays
+  consistent while the indexer runs. The totals only cover every payout
+  when transferHistoryComplete is true.
+*/
+export async function readRewardHistory(
+  sql,
+  wallet,
+  { limit, offset = 0, maxBlock = null }
+) {
+  await ensureIndexerTables(sql);
+
+  const address = wallet.toLowerCase();
+  const indexedBlock = maxBlock ?? (await readIndexedBlock(sql));
+
+  const [rewards, totals, transferHistoryComplete] = await Promise.all([
+    sql`
+      SELECT
+        r.tx_hash,
+        r.log_index,
+        r.block_number::text AS block_number,
+        r.block_time,
+        r.amount_wei::text AS amount_wei,
+        r.token_id::text AS token_id,
+        e.energon_height::text AS energon_height
+      FROM reward_payments r
+      LEFT JOIN LATERAL (
+        SELECT MAX(energon_height) AS energon_height
+        FROM energon_blocks
+        WHERE tx_hash = r.tx_hash
+      ) e ON true
+      WHERE r.to_address = ${address}
+        AND (${indexedBlock}::bigint IS NULL OR r.block_number <= ${indexedBlock})
+      ORDER BY r.block_number DESC, r.log_index DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    sql`
+      SELECT
+        COUNT(*)::int AS count,
+        COALESCE(SUM(amount_wei), 0)::text AS amount_wei
+      FROM reward_payments
+      WHERE to_address = ${address}
+        AND (${indexedBlock}::bigint IS NULL OR block_number <= ${indexedBlock})
+    `,
+    readTransferHistoryComplete(sql),
+  ]);
+
+  return {
+    wallet: address,
+    total: totals[0]?.count || 0,
+    totalAmountWei: totals[0]?.amount_wei || "0",
+    indexedBlock,
+    transferHistoryComplete,
+    rewards: rewards.map((row) => ({
+      txHash: row.tx_hash,
+      logIndex: row.log_index,
+      blockNumber: Number(row.block_number),
+      timestamp: new Date(row.block_time).toISOString(),
+      energonHeight:
+        row.energon_height === null ? null : Number(row.energon_height),
+      tokenId: Number(row.token_id),
+      amountWei: row.amount_wei,
+    })),
+  };
+}
+
+/*
+  Holder census: replays every indexed Transfer into per-wallet balances
+  and summarizes them against the "exactly one cube" rule. With an
+  incomplete transfer history the counts are partial and
+  coherentSupplyPercent is null.
+*/
+export async function readHolderCensus(sql) {
+  await ensureIndexerTables(sql);
+
+  const [distribution, minted, complete, indexedBlock] = await Promise.all([
+    sql`
+      WITH deltas AS (
+        SELECT to_address AS address, 1 AS delta FROM cube_transfers
+        UNION ALL
+        SELECT from_address AS address, -1 AS delta FROM cube_transfers
+      ),
+      balances AS (
+        SELECT address, SUM(delta) AS balance
+        FROM deltas
+        WHERE address <> ${ZERO_ADDRESS}
+        GROUP BY address
+        HAVING SUM(delta) > 0
+      )
+      SELECT balance::int AS cubes, COUNT(*)::int AS wallets
+      FROM balances
+      GROUP BY balance
+      ORDER BY balance
+    `,
+    sql`
+      SELECT COUNT(*)::int AS count
+      FROM cube_transfers
+      WHERE from_address = ${ZERO_ADDRESS}
+    `,
+    readTransferHistoryComplete(sql),
+    readIndexedBlock(sql),
+  ]);
+
+  const mintedSupply = minted[0]?.count || 0;
+  const coherentWallets =
+    distribution.find((row) => row.cubes === 1)?.wallets || 0;
+  const fracturedWallets = distribution
+    .filter((row) => row.cubes > 1)
+    .reduce((sum, row) => sum + row.wallets, 0);
+
+  return {
+    indexedBlock,
+    transferHistoryComplete: complete,
+    mintedSupply,
+    holders: coherentWallets + fracturedWallets,
+    coherentWallets,
+    fracturedWallets,
+    coherentSupplyPercent:
+      complete && mintedSupply
+        ? Math.round((coherentWallets / mintedSupply) * 10_000) / 100
+        : null,
+    distribution,
+  };
+}
+
+/*
+  BitcoinBlockSubmitted history, highest Bitcoin height first, optionally
+  limited to an inclusive Bitcoin height range.
+*/
+export async function readBitcoinAnchors(
+  sql,
+  { limit, offset = 0, fromHeight = null, toHeight = null }
+) {
+  await ensureIndexerTables(sql);
+
+  const [anchors, totals, indexedBlock] = await Promise.all([
+    sql`
+      SELECT
+        tx_hash,
+        log_index,
+        block_number::text AS block_number,
+        block_time,
+        btc_height::text AS btc_height,
+        btc_block_hash
+      FROM bitcoin_blocks
+      WHERE (${fromHeight}::bigint IS NULL OR btc_height >= ${fromHeight})
+        AND (${toHeight}::bigint IS NULL OR btc_height <= ${toHeight})
+      ORDER BY btc_height DESC, block_number DESC, log_index DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    sql`
+      SELECT COUNT(*)::int AS count
+      FROM bitcoin_blocks
+      WHERE (${fromHeight}::bigint IS NULL OR btc_height >= ${fromHeight})
+        AND (${toHeight}::bigint IS NULL OR btc_height <= ${toHeight})
+    `,
+    readIndexedBlock(sql),
+  ]);
+
+  return {
+    total: totals[0]?.count || 0,
+    indexedBlock,
+    anchors: anchors.map((row) => ({
+      txHash: row.tx_hash,
+      logIndex: row.log_index,
+      blockNumber: Number(row.block_number),
+      timestamp: new Date(row.block_time).toISOString(),
+      btcHeight: Number(row.btc_height),
+      btcBlockHash: row.btc_block_hash,
+    })),
+  };
+}
+
+/*
+  One Energon block for the seed explorer: the EnergonBlockProcessed log
+  at `height`, the RewardPaid logs from the same tick transaction, and the
+  indexed heights either side of it. A null height means the latest
+  indexed one.
+
+  Each recipient's cube balance and the paid token's owner are replayed
+  from Transfers strictly before the reward log, i.e. as they stood when
+  the reward was paid. That is only meaningful when the index reaches
+  back to the first mint, which transferHistoryComplete reports.
+*/
+export async function readEnergonBlock(sql, requestedHeight) {
+  await ensureIndexerTables(sql);
+
+  let height = requestedHeight;
+
+  if (height === null) {
+    const rows = await sql`
+      SELECT MAX(energon_height)::text AS latest FROM energon_blocks
+    `;
+
+    if (rows[0]?.latest === null || rows[0]?.latest === undefined) {
+      return {
+        energonHeight: null,
+        indexedBlock: await readIndexedBlock(sql),
+        previousHeight: null,
+        nextHeight: null,
+        latestHeight: null,
+        transferHistoryComplete: false,
+        block: null,
+        rewards: [],
+      };
+    }
+
+    height = Number(rows[0].latest);
+  }
+
+  const [blocks, neighbours, complete, indexedBlock] = await Promise.all([
+    sql`
+      SELECT
+        tx_hash,
+        log_index,
+        block_number::text AS block_number,
+        block_time,
+        steps::text AS steps,
+        seed
+      FROM energon_blocks
+      WHERE energon_height = ${height}
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `,
+    sql`
+      SELECT
+        (SELECT MAX(energon_height) FROM energon_blocks
+          WHERE energon_height < ${height})::text AS previous,
+        (SELECT MIN(energon_height) FROM energon_blocks
+          WHERE energon_height > ${height})::text AS next,
+        (SELECT MAX(energon_height) FROM energon_blocks)::text AS latest
+    `,
+    readTransferHistoryComplete(sql),
+    readIndexedBlock(sql),
+  ]);
+
+  const toHeight = (value) => (value === null ? null : Number(value));
+
+  const base = {
+    energonHeight: height,
+    indexedBlock,
+    previousHeight: toHeight(neighbours[0]?.previous ?? null),
+    nextHeight: toHeight(neighbours[0]?.next ?? null),
+    latestHeight: toHeight(neighbours[0]?.latest ?? null),
+    transferHistoryComplete: complete,
+  };
+
+  const block = blocks[0];
+
+  if (!block) return { ...base, block: null, rewards: [] };
+
+  const rewards = await sql`
+    SELECT
+      r.log_index,
+      r.to_address,
+      r.amount_wei::text AS amount_wei,
+      r.token_id::text AS token_id,
+      (
+        SELECT
+          COUNT(*) FILTER (WHERE t.to_address = r.to_address) -
+          COUNT(*) FILTER (WHERE t.from_address = r.to_address)
+        FROM cube_transfers t
+        WHERE (t.to_address = r.to_address OR t.from_address = r.to_address)
+          AND (t.block_number, t.log_index) < (r.block_number, r.log_index)
+      )::int AS cube_balance,
+      (
+        SELECT t.to_address
+        FROM cube_transfers t
+        WHERE t.token_id = r.token_id
+          AND (t.block_number, t.log_index) < (r.block_number, r.log_index)
+        ORDER BY t.block_number DESC, t.log_index DESC
+        LIMIT 1
+      ) AS token_owner
+    FROM reward_payments r
+    WHERE r.tx_hash = ${block.tx_hash}
+    ORDER BY r.log_index
+  `;
+
+  return {
+    ...base,
+    block: {
+      txHash: block.tx_hash,
+      logIndex: block.log_index,
+      blockNumber: Number(block.block_number),
+      timestamp: new Date(block.block_time).toISOString(),
+      steps: Number(block.steps),
+      seed: block.seed,
+    },
+    rewards: rewards.map((row) => ({
+      logIndex: row.log_index,
+      wallet: row.to_address,
+      tokenId: Number(row.token_id),
+      amountWei: row.amount_wei,
+      cubeBalance: row.cube_balance,
+      coherent: row.cube_balance === 1,
+      ownedToken: row.token_owner === row.to_address,
+    })),
+  };
+}
@@ -0,0 +1,382 @@
+import { Interface } from "ethers";
+import { ABI, CONTRACT_ADDRESS, EON_ADDRESS } from "../contract";
+import { CONTROLLER_ABI, CONTROLLER_ADDRESS } from "../controller";
+import { getBlockNumber, getBlockTimestamp, getLogs } from "./flareRead";
+
+/*
+  Event indexer.
+
+  Each run pulls EnergonCube, controller and EON token logs for the next
+  MAX_BLOCKS_PER_RUN blocks and writes one normalized row per log:
+
+    cube_transfers      Transfer(from, to, tokenId)
+    cube_refunds        Refund(to, amount)
+    cube_price_updates  PriceUpdated(newPriceWei)
+    reward_payments     RewardPaid(to, amount, tokenId)
+    energon_blocks      EnergonBlockProcessed(energonHeight, steps, seed)
+    bitcoin_blocks      BitcoinBlockSubmitted(height, blockHash)
+    eon_transfers       EON Transfer(from, to, value)
+
+  EON and EnergonCube share the Transfer topic, so logs are matched on
+  emitting address and topic together.
+
+  Every run starts REORG_DEPTH blocks behind the cursor. Rows in the
+  re-read window are deleted and written again in the same transaction
+  as the cursor update, so a reorg within that depth is corrected and a
+  failed run leaves nothing half-written.
+
+  The first run starts at INDEXER_START_BLOCK (the deployment block) when
+  set, otherwise at the current head.
+*/
+
+const MAX_BLOCKS_PER_RUN = 900;
+const REORG_DEPTH = 12;
+
+const cubeInterface = new Interface(ABI);
+const controllerInterface = new Interface(CONTROLLER_ABI);
+const eonInterface = new Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+// [emitting contract, interface, ABI event, name used by insertEvent]
+const INDEXED_EVENTS = [
+  [CONTRACT_ADDRESS, cubeInterface, "Transfer", "Transfer"],
+  [CONTRACT_ADDRESS, cubeInterface, "Refund", "Refund"],
+  [CONTRACT_ADDRESS, cubeInterface, "PriceUpdated", "PriceUpdated"],
+  [CONTROLLER_ADDRESS, controllerInterface, "RewardPaid", "RewardPaid"],
+  [CONTROLLER_ADDRESS, controllerInterface, "EnergonBlockProcessed", "EnergonBlockProcessed"],
+  [CONTROLLER_ADDRESS, controllerInterface, "BitcoinBlockSubmitted", "BitcoinBlockSubmitted"],
+  [EON_ADDRESS, eonInterface, "Transfer", "EonTransfer"],
+];
+
+function logKey(address, topic) {
+  return `${String(address).toLowerCase()}:${topic}`;
+}
+
+const EVENT_BY_LOG = new Map(
+  INDEXED_EVENTS.map(([address, iface, event, name]) => [
+    logKey(address, iface.getEvent(event).topicHash),
+    { iface, name },
+  ])
+);
+
+const INDEXED_ADDRESSES = [
+  ...new Set(INDEXED_EVENTS.map(([address]) => address)),
+];
+
+const INDEXED_TOPICS = [
+  ...new Set(
+    INDEXED_EVENTS.map(([, iface, event]) => iface.getEvent(event).topicHash)
+  ),
+];
+
+let indexerTablesReady = null;
+
+export function ensureIndexerTables(sql) {
+  if (!indexerTablesReady) {
+    indexerTablesReady = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS indexer_state (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS cube_transfers (
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          block_number BIGINT NOT NULL,
+          block_time TIMESTAMPTZ NOT NULL,
+          from_address TEXT NOT NULL,
+          to_address TEXT NOT NULL,
+          token_id BIGINT NOT NULL,
+          PRIMARY KEY (tx_hash, log_index)
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS cube_transfers_block_idx ON cube_transfers (block_number)`;
+      await sql`CREATE INDEX IF NOT EXISTS cube_transfers_token_idx ON cube_transfers (token_id)`;
+      await sql`CREATE INDEX IF NOT EXISTS cube_transfers_to_idx ON cube_transfers (to_address)`;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS cube_refunds (
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          block_number BIGINT NOT NULL,
+          block_time TIMESTAMPTZ NOT NULL,
+          to_address TEXT NOT NULL,
+          amount_wei NUMERIC NOT NULL,
+          PRIMARY KEY (tx_hash, log_index)
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS cube_refunds_block_idx ON cube_refunds (block_number)`;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS cube_price_updates (
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          block_number BIGINT NOT NULL,
+          block_time TIMESTAMPTZ NOT NULL,
+          price_wei NUMERIC NOT NULL,
+          PRIMARY KEY (tx_hash, log_index)
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS cube_price_updates_block_idx ON cube_price_updates (block_number)`;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS reward_payments (
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          block_number BIGINT NOT NULL,
+          block_time TIMESTAMPTZ NOT NULL,
+          to_address TEXT NOT NULL,
+          amount_wei NUMERIC NOT NULL,
+          token_id BIGINT NOT NULL,
+          PRIMARY KEY (tx_hash, log_index)
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS reward_payments_block_idx ON reward_payments (block_number)`;
+      await sql`CREATE INDEX IF NOT EXISTS reward_payments_to_idx ON reward_payments (to_address)`;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS energon_blocks (
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          block_number BIGINT NOT NULL,
+          block_time TIMESTAMPTZ NOT NULL,
+          energon_height BIGINT NOT NULL,
+          steps BIGINT NOT NULL,
+          seed TEXT NOT NULL,
+          PRIMARY KEY (tx_hash, log_index)
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS energon_blocks_block_idx ON energon_blocks (block_number)`;
+      await sql`CREATE INDEX IF NOT EXISTS energon_blocks_height_idx ON energon_blocks (energon_height)`;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS bitcoin_blocks (
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          block_number BIGINT NOT NULL,
+          block_time TIMESTAMPTZ NOT NULL,
+          btc_height BIGINT NOT NULL,
+          btc_block_hash TEXT NOT NULL,
+          PRIMARY KEY (tx_hash, log_index)
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS bitcoin_blocks_block_idx ON bitcoin_blocks (block_number)`;
+      await sql`CREATE INDEX IF NOT EXISTS bitcoin_blocks_height_idx ON bitcoin_blocks (btc_height)`;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS eon_transfers (
+          tx_hash TEXT NOT NULL,
+          log_index INTEGER NOT NULL,
+          block_number BIGINT NOT NULL,
+          block_time TIMESTAMPTZ NOT NULL,
+          from_address TEXT NOT NULL,
+          to_address TEXT NOT NULL,
+          amount_wei NUMERIC NOT NULL,
+          PRIMARY KEY (tx_hash, log_index)
+        )
+      `;
+      await sql`CREATE INDEX IF NOT EXISTS eon_transfers_block_idx ON eon_transfers (block_number)`;
+      await sql`CREATE INDEX IF NOT EXISTS eon_transfers_from_idx ON eon_transfers (from_address)`;
+      await sql`CREATE INDEX IF NOT EXISTS eon_transfers_to_idx ON eon_transfers (to_address)`;
+    })().catch((err) => {
+      indexerTablesReady = null;
+      throw err;
+    });
+  }
+
+  return indexerTablesReady;
+}
+
+async function readIndexerState(sql) {
+  const rows = await sql`SELECT key, value FROM indexer_state`;
+  return Object.fromEntries(rows.map((row) => [row.key, row.value]));
+}
+
+function writeIndexerState(sql, key, value) {
+  return sql`
+    INSERT INTO indexer_state (key, value, updated_at)
+    VALUES (${key}, ${String(value)}, now())
+    ON CONFLICT (key) DO UPDATE SET
+      value = EXCLUDED.value,
+      updated_at = now()
+  `;
+}
+
+function deleteWindow(sql, fromBlock, toBlock) {
+  return [
+    sql`DELETE FROM cube_transfers WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`,
+    sql`DELETE FROM cube_refunds WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`,
+    sql`DELETE FROM cube_price_updates WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`,
+    sql`DELETE FROM reward_payments WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`,
+    sql`DELETE FROM energon_blocks WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`,
+    sql`DELETE FROM bitcoin_blocks WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`,
+    sql`DELETE FROM eon_transfers WHERE block_number BETWEEN ${fromBlock} AND ${toBlock}`,
+  ];
+}
+
+function insertEvent(sql, event) {
+  const { txHash, logIndex, blockNumber, blockTime, args } = event;
+
+  switch (event.name) {
+    case "Transfer":
+      return sql`
+        INSERT INTO cube_transfers
+          (tx_hash, log_index, block_number, block_time, from_address, to_address, token_id)
+        VALUES
+          (${txHash}, ${logIndex}, ${blockNumber}, ${blockTime},
+           ${args[0].toLowerCase()}, ${args[1].toLowerCase()}, ${args[2].toString()})
+      `;
+    case "Refund":
+      return sql`
+        INSERT INTO cube_refunds
+          (tx_hash, log_index, block_number, block_time, to_address, amount_wei)
+        VALUES
+          (${txHash}, ${logIndex}, ${blockNumber}, ${blockTime},
+           ${args[0].toLowerCase()}, ${args[1].toString()})
+      `;
+    case "PriceUpdated":
+      return sql`
+        INSERT INTO cube_price_updates
+          (tx_hash, log_index, block_number, block_time, price_wei)
+        VALUES
+          (${txHash}, ${logIndex}, ${blockNumber}, ${blockTime}, ${args[0].toString()})
+      `;
+    case "RewardPaid":
+      return sql`
+        INSERT INTO reward_payments
+          (tx_hash, log_index, block_number, block_time, to_address, amount_wei, token_id)
+        VALUES
+          (${txHash}, ${logIndex}, ${blockNumber}, ${blockTime},
+           ${args[0].toLowerCase()}, ${args[1].toString()}, ${args[2].toString()})
+      `;
+    case "EnergonBlockProcessed":
+      return sql`
+        INSERT INTO energon_blocks
+          (tx_hash, log_index, block_number, block_time, energon_height, steps, seed)
+        VALUES
+          (${txHash}, ${logIndex}, ${blockNumber}, ${blockTime},
+           ${args[0].toString()}, ${args[1].toString()}, ${args[2]})
+      `;
+    case "BitcoinBlockSubmitted":
+      return sql`
+        INSERT INTO bitcoin_blocks
+          (tx_hash, log_index, block_number, block_time, btc_height, btc_block_hash)
+        VALUES
+          (${txHash}, ${logIndex}, ${blockNumber}, ${blockTime},
+           ${args[0].toString()}, ${args[1]})
+      `;
+    case "EonTransfer":
+      return sql`
+        INSERT INTO eon_transfers
+          (tx_hash, log_index, block_number, block_time, from_address, to_address, amount_wei)
+        VALUES
+          (${txHash}, ${logIndex}, ${blockNumber}, ${blockTime},
+           ${args[0].toLowerCase()}, ${args[1].toLowerCase()}, ${args[2].toString()})
+      `;
+    default:
+      throw new Error(`Unhandled event ${event.name}`);
+  }
+}
+
+// Requested together so flareRead sends them as JSON-RPC batches.
+async function readBlockTimes(blockNumbers) {
+  const timestamps = await Promise.all(blockNumbers.map(getBlockTimestamp));
+
+  return new Map(
+    blockNumbers.map((blockNumber, index) => [
+      blockNumber,
+      new Date(timestamps[index] * 1000).toISOString(),
+    ])
+  );
+}
+
+async function collectEvents(fromBlock, toBlock) {
+  const logs = await getLogs({
+    address: INDEXED_ADDRESSES,
+    topics: [INDEXED_TOPICS],
+    fromBlock,
+    toBlock,
+  });
+
+  const live = logs.filter(
+    (log) => !log.removed && EVENT_BY_LOG.has(logKey(log.address, log.topics?.[0]))
+  );
+
+  const blockTimes = await readBlockTimes(
+    [...new Set(live.map((log) => Number(BigInt(log.blockNumber))))]
+  );
+
+  return live.map((log) => {
+    const { iface, name } = EVENT_BY_LOG.get(logKey(log.address, log.topics[0]));
+    const blockNumber = Number(BigInt(log.blockNumber));
+
+    return {
+      name,
+      args: iface.parseLog(log).args,
+      txHash: log.transactionHash,
+      logIndex: Number(BigInt(log.logIndex)),
+      blockNumber,
+      blockTime: blockTimes.get(blockNumber),
+    };
+  });
+}
+
+export async function runEventIndexer(sql) {
+  await ensureIndexerTables(sql);
+
+  const [state, latestBlock] = await Promise.all([
+    readIndexerState(sql),
+    getBlockNumber(),
+  ]);
+
+  if (state.last_block === undefined) {
+    const startBlock = Number(process.env.INDEXER_START_BLOCK || 0);
+    const firstBlock =
+      Number.isInteger(startBlock) && startBlock > 0 ? startBlock : latestBlock;
+
+    await sql.transaction([
+      writeIndexerState(sql, "first_block", firstBlock),
+      writeIndexerState(sql, "last_block", firstBlock - 1),
+    ]);
+
+    state.first_block = String(firstBlock);
+    state.last_block = String(firstBlock - 1);
+  }
+
+  const firstBlock = Number(state.first_block);
+  const lastBlock = Number(state.last_block);
+
+  const fromBlock = Math.max(firstBlock, lastBlock - REORG_DEPTH + 1);
+  const toBlock = Math.min(latestBlock, lastBlock + MAX_BLOCKS_PER_RUN);
+
+  if (toBlock < fromBlock) {
+    return { fromBlock, toBlock, latestBlock, caughtUp: true, events: {} };
+  }
+
+  const events = await collectEvents(fromBlock, toBlock);
+
+  await sql.transaction([
+    ...deleteWindow(sql, fromBlock, toBlock),
+    ...events.map((event) => insertEvent(sql, event)),
+    writeIndexerState(sql, "last_block", toBlock),
+  ]);
+
+  const counts = {};
+
+  for (const event of events) {
+    counts[event.name] = (counts[event.name] || 0) + 1;
+  }
+
+  return {
+    fromBlock,
+    toBlock,
+    latestBlock,
+    caughtUp: toBlock >= latestBlock,
+    events: counts,
+  };
+}
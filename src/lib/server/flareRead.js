@@ -0,0 +1,351 @@
+import { CONTRACT_ADDRESS, MAINNET_CHAIN_ID, RPCS } from "../contract";
+
+/*
+  Server-side Flare read client.
+
+  - Rotates through FLARE_RPC / FLR_RPC (when set) and then RPCS[14],
+    starting from the last endpoint that answered.
+  - Every request has a timeout, so one slow endpoint only costs
+    RPC_TIMEOUT_MS before the next one is tried.
+  - eth_calls and block lookups issued in the same tick are sent as
+    JSON-RPC batches of up to MAX_BATCH_SIZE requests.
+  - Successful eth_call results are cached for a short TTL.
+*/
+
+export const CUBE_ADDRESS = CONTRACT_ADDRESS.toLowerCase();
+
+const RPC_TIMEOUT_MS = 4000;
+const DEFAULT_CACHE_TTL_MS = 5000;
+const MAX_CACHE_ENTRIES = 500;
+const LOG_BLOCK_RANGE = 30;
+const MAX_BATCH_SIZE = 50;
+
+let preferredRpcIndex = 0;
+let nextRequestId = 1;
+
+const callCache = new Map();
+const inflightCalls = new Map();
+
+let pendingBatch = [];
+let batchTimer = null;
+
+export function getRpcUrls() {
+  const configured = [process.env.FLARE_RPC, process.env.FLR_RPC].filter(
+    Boolean
+  );
+
+  return [...new Set([...configured, ...(RPCS?.[MAINNET_CHAIN_ID] || [])])];
+}
+
+/*
+  Starts later requests at `url` when it is one of getRpcUrls(). Endpoints
+  set through FLARE_RPC / FLR_RPC keep priority over the public ranking.
+*/
+export function preferRpcUrl(url) {
+  if (process.env.FLARE_RPC || process.env.FLR_RPC) return;
+
+  const index = getRpcUrls().indexOf(url);
+  if (index >= 0) preferredRpcIndex = index;
+}
+
+export function padAddress(address) {
+  return address.toLowerCase().replace("0x", "").padStart(64, "0");
+}
+
+export function padUint(value) {
+  return BigInt(value).toString(16).padStart(64, "0");
+}
+
+export function decodeAddress(hex) {
+  if (!hex || hex === "0x") return "";
+  return "0x" + hex.slice(-40).toLowerCase();
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(RPC_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`RPC request failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/*
+  Sends one JSON-RPC payload (single request or batch array), trying each
+  endpoint in turn. `validate` decides whether an endpoint's answer is
+  usable; an unusable answer moves on to the next endpoint.
+*/
+async function sendWithFailover(payload, validate) {
+  const urls = getRpcUrls();
+
+  if (!urls.length) {
+    throw new Error("No Flare RPC endpoints configured.");
+  }
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt < urls.length; attempt += 1) {
+    const index = (preferredRpcIndex + attempt) % urls.length;
+
+    try {
+      const json = await postJson(urls[index], payload);
+      validate(json);
+      preferredRpcIndex = index;
+      return json;
+    } catch (err) {
+      lastError = err;
+      console.warn(`Flare RPC ${urls[index]} failed:`, err?.message || err);
+    }
+  }
+
+  throw lastError || new Error("Flare RPC request failed.");
+}
+
+export async function rpcRequest(method, params = []) {
+  const json = await sendWithFailover(
+    {
+      jsonrpc: "2.0",
+      id: nextRequestId++,
+      method,
+      params,
+    },
+    (reply) => {
+      if (!reply || typeof reply !== "object" || Array.isArray(reply)) {
+        throw new Error("RPC returned an invalid response.");
+      }
+    }
+  );
+
+  if (json.error) {
+    throw new Error(json.error.message || "RPC error");
+  }
+
+  return json.result;
+}
+
+function settleCall(call, reply) {
+  if (!reply) {
+    call.reject(new Error("RPC returned no result."));
+  } else if (reply.error) {
+    call.reject(new Error(reply.error.message || "RPC error"));
+  } else if (reply.result === undefined || reply.result === null) {
+    call.reject(new Error("RPC returned no result."));
+  } else {
+    call.resolve(reply.result);
+  }
+}
+
+async function flushBatch() {
+  const calls = pendingBatch;
+  pendingBatch = [];
+  batchTimer = null;
+
+  const payload = calls.map((call) => ({
+    jsonrpc: "2.0",
+    id: nextRequestId++,
+    method: call.method,
+    params: call.params,
+  }));
+
+  if (calls.length > 1) {
+    try {
+      const replies = await sendWithFailover(payload, (reply) => {
+        if (!Array.isArray(reply)) {
+          throw new Error("RPC endpoint does not support batch requests.");
+        }
+      });
+
+      const byId = new Map(replies.map((reply) => [reply?.id, reply]));
+
+      calls.forEach((call, index) => {
+        settleCall(call, byId.get(payload[index].id));
+      });
+
+      return;
+    } catch (err) {
+      console.warn("Batched RPC request failed; retrying individually:", err);
+    }
+  }
+
+  await Promise.all(
+    calls.map((call, index) =>
+      rpcRequest(call.method, call.params).then(
+        (result) => settleCall(call, { result }),
+        (err) => call.reject(err)
+      )
+    )
+  );
+}
+
+function queueRequest(method, params) {
+  return new Promise((resolve, reject) => {
+    pendingBatch.push({ method, params, resolve, reject });
+
+    if (pendingBatch.length >= MAX_BATCH_SIZE) {
+      clearTimeout(batchTimer);
+      flushBatch();
+    } else if (!batchTimer) {
+      batchTimer = setTimeout(flushBatch, 0);
+    }
+  });
+}
+
+function rememberCall(key, value, ttlMs) {
+  if (callCache.size >= MAX_CACHE_ENTRIES) {
+    callCache.delete(callCache.keys().next().value);
+  }
+
+  callCache.set(key, {
+    value,
+    expiresAt: Date.now() + ttlMs,
+  });
+}
+
+export async function ethCall(
+  to,
+  data,
+  { cacheTtlMs = DEFAULT_CACHE_TTL_MS } = {}
+) {
+  const key = `${to.toLowerCase()}:${data.toLowerCase()}`;
+  const cached = callCache.get(key);
+
+  if (cacheTtlMs > 0 && cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  if (inflightCalls.has(key)) {
+    return inflightCalls.get(key);
+  }
+
+  const request = queueRequest("eth_call", [{ to, data }, "latest"])
+    .then((result) => {
+      if (cacheTtlMs > 0) rememberCall(key, result, cacheTtlMs);
+      return result;
+    })
+    .finally(() => {
+      inflightCalls.delete(key);
+    });
+
+  inflightCalls.set(key, request);
+
+  return request;
+}
+
+export function invalidateCall(to, data) {
+  callCache.delete(`${to.toLowerCase()}:${data.toLowerCase()}`);
+}
+
+function toBlockTag(blockNumber) {
+  return "0x" + Number(blockNumber).toString(16);
+}
+
+export async function getBlockTimestamp(blockNumber) {
+  const block = await queueRequest("eth_getBlockByNumber", [
+    toBlockTag(blockNumber),
+    false,
+  ]).catch((err) => {
+    throw new Error(`Block ${blockNumber} lookup failed: ${err.message}`);
+  });
+
+  return Number(BigInt(block.timestamp));
+}
+
+export async function getBlockNumber() {
+  return Number(BigInt(await rpcRequest("eth_blockNumber")));
+}
+
+/*
+  eth_getLogs over an inclusive block range, split into LOG_BLOCK_RANGE
+  windows because the public Flare nodes reject wider ranges.
+*/
+export async function getLogs({ address, topics, fromBlock, toBlock }) {
+  const logs = [];
+
+  for (let start = fromBlock; start <= toBlock; start += LOG_BLOCK_RANGE) {
+    const end = Math.min(toBlock, start + LOG_BLOCK_RANGE - 1);
+
+    const chunk = await rpcRequest("eth_getLogs", [
+      {
+        address,
+        topics,
+        fromBlock: toBlockTag(start),
+        toBlock: toBlockTag(end),
+      },
+    ]);
+
+    logs.push(...(chunk || []));
+  }
+
+  return logs;
+}
+
+export async function cubeBalanceOf(wallet, options) {
+  const data = "0x70a08231" + padAddress(wallet);
+  const result = await ethCall(CUBE_ADDRESS, data, options);
+
+  return BigInt(result);
+}
+
+export async function ownerOf(cubeId, options) {
+  const data = "0x6352211e" + padUint(cubeId);
+  const result = await ethCall(CUBE_ADDRESS, data, options);
+
+  return decodeAddress(result);
+}
+
+export async function cubeTotalMinted(options) {
+  const result = await ethCall(CUBE_ADDRESS, "0xa2309ff8", options);
+
+  return BigInt(result);
+}
+
+export async function cubeNextTokenId(options) {
+  const result = await ethCall(CUBE_ADDRESS, "0x75794a3c", options);
+
+  return BigInt(result);
+}
+
+/*
+  Number of cubes minted so far. Ids are assigned sequentially from 1, so
+  every id up to this count exists. Falls back to nextTokenId() - 1 when
+  totalMinted() cannot be read.
+*/
+export async function readMintedSupply(options) {
+  try {
+    return await cubeTotalMinted(options);
+  } catch (err) {
+    console.warn("totalMinted read failed; trying nextTokenId:", err);
+    return (await cubeNextTokenId(options)) - 1n;
+  }
+}
+
+/*
+  balanceOf(wallet) and ownerOf(cubeId) in one batch. An ownerOf failure
+  (for example an unminted cube) only surfaces when the wallet is
+  coherent, so callers can keep reporting "not coherent" first.
+*/
+export async function readCubeHolding(wallet, cubeId, options) {
+  const [balance, owner] = await Promise.allSettled([
+    cubeBalanceOf(wallet, options),
+    ownerOf(cubeId, options),
+  ]);
+
+  if (balance.status === "rejected") throw balance.reason;
+
+  if (balance.value === 1n && owner.status === "rejected") {
+    throw owner.reason;
+  }
+
+  return {
+    balance: balance.value,
+    owner: owner.status === "fulfilled" ? owner.value : "",
+  };
+}
@@ -0,0 +1,392 @@
+import { cubeBalanceOf } from "./flareRead";
+import {
+  assignGuardianRole,
+  removeGuardianRole,
+  syncTraitRoles,
+} from "./discordRoles";
+import { readIndexedHeldCube } from "./eventHistory";
+
+/*
+  Wallet ↔ Discord links created when the Guardian role is granted, and
+  the sweep that takes the role back once a linked wallet stops being
+  coherent (exactly one EnergonCube).
+
+  Rarity and plasma core roles follow the cube each active link holds,
+  and are re-synced by the same sweep whenever that changes.
+
+  Every Guardian role change is written to guardian_role_audit.
+*/
+
+const SWEEP_READ_CHUNK = 25;
+
+let linkTablesReady = null;
+
+export function ensureGuardianLinkTables(sql) {
+  if (!linkTablesReady) {
+    linkTablesReady = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS guardian_links (
+          wallet TEXT NOT NULL,
+          discord_user_id TEXT NOT NULL,
+          cube_id BIGINT,
+          source TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'active',
+          linked_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+          last_checked_at TIMESTAMPTZ,
+          last_cube_balance INTEGER,
+          revoked_at TIMESTAMPTZ,
+          revoke_reason TEXT,
+          PRIMARY KEY (wallet, discord_user_id)
+        )
+      `;
+
+      await sql`
+        CREATE TABLE IF NOT EXISTS guardian_role_audit (
+          id BIGSERIAL PRIMARY KEY,
+          wallet TEXT NOT NULL,
+          discord_user_id TEXT NOT NULL,
+          cube_id BIGINT,
+          action TEXT NOT NULL,
+          reason TEXT,
+          cube_balance INTEGER,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `;
+    })().catch((err) => {
+      linkTablesReady = null;
+      throw err;
+    });
+  }
+
+  return linkTablesReady;
+}
+
+export async function writeRoleAudit(
+  sql,
+  { wallet, discordUserId, cubeId = null, action, reason = null, cubeBalance = null }
+) {
+  await sql`
+    INSERT INTO guardian_role_audit (
+      wallet,
+      discord_user_id,
+      cube_id,
+      action,
+      reason,
+      cube_balance
+    )
+    VALUES (
+      ${wallet},
+      ${discordUserId},
+      ${cubeId},
+      ${action},
+      ${reason},
+      ${cubeBalance}
+    )
+  `;
+}
+
+export async function recordGuardianLink(
+  sql,
+  { wallet, discordUserId, cubeId = null, source }
+) {
+  await ensureGuardianLinkTables(sql);
+
+  const normalizedWallet = wallet.toLowerCase();
+  const cleanCubeId = cubeId == null ? null : Number(cubeId);
+
+  await sql`
+    INSERT INTO guardian_links (
+      wallet,
+      discord_user_id,
+      cube_id,
+      source,
+      status,
+      last_checked_at,
+      last_cube_balance
+    )
+    VALUES (
+      ${normalizedWallet},
+      ${discordUserId},
+      ${cleanCubeId},
+      ${source},
+      'active',
+      now(),
+      1
+    )
+    ON CONFLICT (wallet, discord_user_id) DO UPDATE SET
+      cube_id = COALESCE(EXCLUDED.cube_id, guardian_links.cube_id),
+      source = EXCLUDED.source,
+      status = 'active',
+      linked_at = now(),
+      last_checked_at = now(),
+      last_cube_balance = 1,
+      revoked_at = NULL,
+      revoke_reason = NULL
+  `;
+}
+
+/*
+  Grants the base Guardian role. The "assigned" audit row is only written
+  once Discord accepted the change; a rejected call is audited as
+  "assign_failed" and rethrown.
+*/
+export async function grantGuardianRole(
+  sql,
+  { wallet, discordUserId, cubeId = null, source }
+) {
+  await ensureGuardianLinkTables(sql);
+
+  const audit = {
+    wallet: wallet.toLowerCase(),
+    discordUserId,
+    cubeId: cubeId == null ? null : Number(cubeId),
+    cubeBalance: 1,
+  };
+
+  try {
+    await assignGuardianRole(discordUserId);
+  } catch (err) {
+    await writeRoleAudit(sql, {
+      ...audit,
+      action: "assign_failed",
+      reason: err?.message || source,
+    });
+
+    throw err;
+  }
+
+  await writeRoleAudit(sql, { ...audit, action: "assigned", reason: source });
+}
+
+async function readInChunks(wallets, read, label) {
+  const values = new Map();
+
+  for (let i = 0; i < wallets.length; i += SWEEP_READ_CHUNK) {
+    const chunk = wallets.slice(i, i + SWEEP_READ_CHUNK);
+
+    const results = await Promise.allSettled(chunk.map(read));
+
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        values.set(chunk[index], result.value);
+      } else {
+        console.warn(
+          `Guardian sweep ${label} read failed for ${chunk[index]}:`,
+          result.reason
+        );
+      }
+    });
+  }
+
+  return values;
+}
+
+function readBalances(wallets) {
+  return readInChunks(
+    wallets,
+    (wallet) => cubeBalanceOf(wallet, { cacheTtlMs: 0 }),
+    "balance"
+  );
+}
+
+/*
+  Cubes held by coherent wallets, from the event index: EnergonCube is
+  not enumerable. Wallets the index has no cube for yet are left out and
+  keep their stored cube_id.
+*/
+async function readHeldCubes(sql, wallets) {
+  const values = new Map();
+
+  for (const wallet of wallets) {
+    try {
+      const cubeId = await readIndexedHeldCube(sql, wallet);
+      if (cubeId !== null) values.set(wallet, cubeId);
+    } catch (err) {
+      console.warn(`Guardian sweep cube id read failed for ${wallet}:`, err);
+    }
+  }
+
+  return values;
+}
+
+/*
+  Re-derives a member's rarity and plasma core roles from the cubes held
+  by all of their active links.
+*/
+export async function syncGuardianTraitRoles(sql, discordUserId) {
+  const rows = await sql`
+    SELECT cube_id
+    FROM guardian_links
+    WHERE status = 'active'
+      AND discord_user_id = ${discordUserId}
+      AND cube_id IS NOT NULL
+  `;
+
+  return syncTraitRoles(
+    discordUserId,
+    rows.map((row) => Number(row.cube_id))
+  );
+}
+
+/*
+  Is this Discord user still coherent through any other active link?
+  Wallets that could not be read count as coherent, so a flaky RPC never
+  causes a role to be removed.
+*/
+async function hasOtherCoherentLink(sql, link, balances) {
+  const others = await sql`
+    SELECT wallet
+    FROM guardian_links
+    WHERE status = 'active'
+      AND discord_user_id = ${link.discord_user_id}
+      AND wallet <> ${link.wallet}
+  `;
+
+  const unknown = others
+    .map((row) => row.wallet)
+    .filter((wallet) => !balances.has(wallet));
+
+  if (unknown.length) {
+    const extra = await readBalances(unknown);
+
+    for (const wallet of unknown) {
+      balances.set(wallet, extra.has(wallet) ? extra.get(wallet) : 1n);
+    }
+  }
+
+  return others.some((row) => balances.get(row.wallet) === 1n);
+}
+
+export async function sweepGuardianLinks(sql, { limit = 200 } = {}) {
+  await ensureGuardianLinkTables(sql);
+
+  const links = await sql`
+    SELECT wallet, discord_user_id, cube_id
+    FROM guardian_links
+    WHERE status = 'active'
+    ORDER BY last_checked_at ASC NULLS FIRST
+    LIMIT ${limit}
+  `;
+
+  const wallets = [...new Set(links.map((link) => link.wallet))];
+  const balances = await readBalances(wallets);
+
+  const heldCubes = await readHeldCubes(
+    sql,
+    wallets.filter((wallet) => balances.get(wallet) === 1n)
+  );
+
+  const resyncUsers = new Set();
+
+  const summary = {
+    checked: 0,
+    coherent: 0,
+    revoked: 0,
+    unlinked: 0,
+    failed: 0,
+    readErrors: 0,
+    resynced: 0,
+  };
+
+  for (const link of links) {
+    if (!balances.has(link.wallet)) {
+      summary.readErrors += 1;
+      continue;
+    }
+
+    const balance = balances.get(link.wallet);
+    const cubeBalance = Number(balance);
+
+    summary.checked += 1;
+
+    if (balance === 1n) {
+      summary.coherent += 1;
+
+      const heldCube = heldCubes.has(link.wallet)
+        ? Number(heldCubes.get(link.wallet))
+        : null;
+
+      const cubeChanged =
+        heldCube !== null &&
+        (link.cube_id === null || Number(link.cube_id) !== heldCube);
+
+      await sql`
+        UPDATE guardian_links
+        SET last_checked_at = now(),
+          last_cube_balance = ${cubeBalance},
+          cube_id = COALESCE(${heldCube}, cube_id)
+        WHERE wallet = ${link.wallet}
+          AND discord_user_id = ${link.discord_user_id}
+      `;
+
+      if (cubeChanged) {
+        resyncUsers.add(link.discord_user_id);
+      }
+
+      continue;
+    }
+
+    const reason = balance === 0n ? "no cube held" : "fractured";
+    const keepRole = await hasOtherCoherentLink(sql, link, balances);
+
+    if (!keepRole) {
+      try {
+        await removeGuardianRole(link.discord_user_id);
+      } catch (err) {
+        console.error("Guardian role removal failed:", err);
+        summary.failed += 1;
+
+        await writeRoleAudit(sql, {
+          wallet: link.wallet,
+          discordUserId: link.discord_user_id,
+          cubeId: link.cube_id,
+          action: "revoke_failed",
+          reason: err?.message || reason,
+          cubeBalance,
+        });
+
+        continue;
+      }
+    }
+
+    await sql`
+      UPDATE guardian_links
+      SET status = 'revoked',
+        revoked_at = now(),
+        revoke_reason = ${reason},
+        last_checked_at = now(),
+        last_cube_balance = ${cubeBalance}
+      WHERE wallet = ${link.wallet}
+        AND discord_user_id = ${link.discord_user_id}
+    `;
+
+    await writeRoleAudit(sql, {
+      wallet: link.wallet,
+      discordUserId: link.discord_user_id,
+      cubeId: link.cube_id,
+      action: keepRole ? "unlinked" : "revoked",
+      reason: keepRole ? `${reason}; another linked wallet is coherent` : reason,
+      cubeBalance,
+    });
+
+    if (keepRole) {
+      summary.unlinked += 1;
+    } else {
+      summary.revoked += 1;
+    }
+
+    resyncUsers.add(link.discord_user_id);
+  }
+
+  for (const discordUserId of resyncUsers) {
+    try {
+      await syncGuardianTraitRoles(sql, discordUserId);
+      summary.resynced += 1;
+    } catch (err) {
+      console.error("Guardian trait role sync failed:", err);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,174 @@
+import { promises as fs } from "fs";
+import { ethers } from "ethers";
+
+/*
+  Signer used by the tick keeper.
+
+  TICK_SIGNER picks the backend; when unset it is inferred from which of
+  the variables below are present:
+
+    keystore     TICK_KEYSTORE_JSON (inline) or TICK_KEYSTORE_PATH, plus
+                 TICK_KEYSTORE_PASSPHRASE
+    remote       TICK_REMOTE_SIGNER_URL (+ optional TICK_REMOTE_SIGNER_TOKEN)
+    private-key  TICK_PRIVATE_KEY (legacy)
+
+  The remote signer speaks a small JSON protocol through a transport
+  function, so tests can hand it an in-process transport instead of HTTP:
+
+    { method: "getAddress" }
+      → { address }
+    { method: "signTransaction", address, unsignedTransaction }
+      → { signedTransaction }
+*/
+
+let cachedKeystoreWallet = null;
+
+function resolveSignerKind() {
+  const configured = (process.env.TICK_SIGNER || "").trim().toLowerCase();
+  if (configured) return configured;
+
+  if (process.env.TICK_KEYSTORE_JSON || process.env.TICK_KEYSTORE_PATH) {
+    return "keystore";
+  }
+
+  if (process.env.TICK_REMOTE_SIGNER_URL) return "remote";
+  if (process.env.TICK_PRIVATE_KEY) return "private-key";
+
+  throw new Error("No tick signer configured");
+}
+
+async function loadKeystoreWallet() {
+  const passphrase = process.env.TICK_KEYSTORE_PASSPHRASE;
+  if (!passphrase) throw new Error("Missing TICK_KEYSTORE_PASSPHRASE");
+
+  const json =
+    process.env.TICK_KEYSTORE_JSON ||
+    (process.env.TICK_KEYSTORE_PATH
+      ? await fs.readFile(process.env.TICK_KEYSTORE_PATH, "utf8")
+      : null);
+
+  if (!json) throw new Error("Missing TICK_KEYSTORE_JSON or TICK_KEYSTORE_PATH");
+
+  // Decrypting is deliberately slow (scrypt), so keep it for warm invocations.
+  if (!cachedKeystoreWallet || cachedKeystoreWallet.json !== json) {
+    cachedKeystoreWallet = {
+      json,
+      wallet: await ethers.Wallet.fromEncryptedJson(json, passphrase),
+    };
+  }
+
+  return cachedKeystoreWallet.wallet;
+}
+
+export function httpSignerTransport(url, token) {
+  return async (request) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(request),
+      signal: AbortSignal.timeout(10_000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Remote signer request failed: ${response.status}`);
+    }
+
+    return response.json();
+  };
+}
+
+export class RemoteSigner extends ethers.AbstractSigner {
+  constructor(transport, provider = null) {
+    super(provider);
+    this.transport = transport;
+    this.address = null;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.transport, provider);
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const reply = await this.transport({ method: "getAddress" });
+
+      if (!reply?.address || !ethers.isAddress(reply.address)) {
+        throw new Error("Remote signer returned an invalid address");
+      }
+
+      this.address = ethers.getAddress(reply.address);
+    }
+
+    return this.address;
+  }
+
+  async signTransaction(tx) {
+    const address = await this.getAddress();
+    const populated = await this.populateTransaction(tx);
+
+    delete populated.from;
+    const unsigned = ethers.Transaction.from(populated);
+
+    const reply = await this.transport({
+      method: "signTransaction",
+      address,
+      unsignedTransaction: unsigned.unsignedSerialized,
+    });
+
+    if (!reply?.signedTransaction) {
+      throw new Error("Remote signer returned no signed transaction");
+    }
+
+    const signed = ethers.Transaction.from(reply.signedTransaction);
+
+    if (
+      signed.unsignedHash !== unsigned.unsignedHash ||
+      signed.from !== address
+    ) {
+      throw new Error("Remote signer returned a mismatched transaction");
+    }
+
+    return signed.serialized;
+  }
+
+  async signMessage() {
+    throw new Error("Remote signer only signs transactions");
+  }
+
+  async signTypedData() {
+    throw new Error("Remote signer only signs transactions");
+  }
+}
+
+export async function getKeeperSigner(provider) {
+  const kind = resolveSignerKind();
+
+  if (kind === "keystore") {
+    const wallet = await loadKeystoreWallet();
+    return wallet.connect(provider);
+  }
+
+  if (kind === "remote") {
+    if (!process.env.TICK_REMOTE_SIGNER_URL) {
+      throw new Error("Missing TICK_REMOTE_SIGNER_URL");
+    }
+
+    return new RemoteSigner(
+      httpSignerTransport(
+        process.env.TICK_REMOTE_SIGNER_URL,
+        process.env.TICK_REMOTE_SIGNER_TOKEN
+      ),
+      provider
+    );
+  }
+
+  if (kind === "private-key") {
+    if (!process.env.TICK_PRIVATE_KEY) throw new Error("Missing TICK_PRIVATE_KEY");
+    return new ethers.Wallet(process.env.TICK_PRIVATE_KEY, provider);
+  }
+
+  throw new Error(`Unknown TICK_SIGNER "${kind}"`);
+}
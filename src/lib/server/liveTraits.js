@@ -0,0 +1,140 @@
+import { getEraName } from "../../components/qori/qoriState";
+import { readControllerViews } from "./controllerRead";
+import { readCubeTransferTimes } from "./eventHistory";
+import { cubeBalanceOf, ownerOf } from "./flareRead";
+
+/*
+  Live, chain-derived traits for token metadata:
+
+  - Holder Coherence: whether the current owner holds exactly one cube,
+    the rule that decides reward eligibility.
+  - Minted / Mint Era: when the cube was minted and the halving era it
+    fell in (from the controller's launchTime and halvingInterval).
+  - Holding Since / Days Held: when the current owner received it.
+
+  Owner and balance are read from the chain; mint and holding-since times
+  come from the Transfers the event indexer stored, so no archive state
+  is needed. A history trait the index does not cover yet is left out.
+
+  Entries are kept per instance and re-read after OWNER_TTL_MS.
+*/
+
+const OWNER_TTL_MS = 60_000;
+const ERA_TTL_MS = 60 * 60 * 1000;
+const MAX_ENTRIES = 5000;
+
+const traitCache = new Map();
+const inflight = new Map();
+
+function remember(cache, key, value) {
+  if (cache.size >= MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  cache.set(key, value);
+}
+
+async function readMintEra(timestamp) {
+  const views = await readControllerViews(["launchTime", "halvingInterval"], {
+    cacheTtlMs: ERA_TTL_MS,
+  });
+
+  const launch = Number(views.launchTime || 0);
+  const interval = Number(views.halvingInterval || 0);
+
+  if (!launch || !interval) return null;
+
+  return getEraName(Math.floor(Math.max(0, timestamp - launch) / interval));
+}
+
+async function computeLiveTraits(sql, tokenId) {
+  const cached = traitCache.get(tokenId);
+
+  if (cached && cached.checkedAt + OWNER_TTL_MS > Date.now()) {
+    return cached;
+  }
+
+  // An unminted token reverts here; callers treat that as "no live traits".
+  const owner = await ownerOf(tokenId);
+  const balance = await cubeBalanceOf(owner);
+
+  const entry = {
+    owner,
+    coherent: balance === 1n,
+    mintedAt: null,
+    mintEra: null,
+    heldSince: null,
+    checkedAt: Date.now(),
+  };
+
+  if (sql) {
+    try {
+      const times = await readCubeTransferTimes(sql, tokenId, owner);
+
+      entry.mintedAt = times.mintedAt;
+      entry.heldSince = times.heldSince;
+
+      if (times.mintedAt !== null) {
+        entry.mintEra = await readMintEra(times.mintedAt);
+      }
+    } catch (err) {
+      console.warn(`Live traits history read failed for #${tokenId}:`, err);
+    }
+  }
+
+  remember(traitCache, tokenId, entry);
+  return entry;
+}
+
+/*
+  Resolves to OpenSea-style attributes. Traits whose history could not be
+  read are left out rather than guessed; without `sql` only Holder
+  Coherence is returned.
+*/
+export async function getLiveTraits(sql, id) {
+  const tokenId = Number(id);
+
+  if (!inflight.has(tokenId)) {
+    inflight.set(
+      tokenId,
+      computeLiveTraits(sql, tokenId).finally(() => inflight.delete(tokenId))
+    );
+  }
+
+  const entry = await inflight.get(tokenId);
+  const traits = [
+    {
+      trait_type: "Holder Coherence",
+      value: entry.coherent ? "Coherent" : "Fractured",
+    },
+  ];
+
+  if (entry.mintedAt !== null) {
+    traits.push({
+      trait_type: "Minted",
+      display_type: "date",
+      value: entry.mintedAt,
+    });
+  }
+
+  if (entry.mintEra) {
+    traits.push({ trait_type: "Mint Era", value: entry.mintEra });
+  }
+
+  if (entry.heldSince !== null) {
+    traits.push(
+      {
+        trait_type: "Holding Since",
+        display_type: "date",
+        value: entry.heldSince,
+      },
+      {
+        trait_type: "Days Held",
+        display_type: "number",
+        value: Math.floor((Date.now() / 1000 - entry.heldSince) / 86400),
+      }
+    );
+  }
+
+  return traits;
+}
@@ -0,0 +1,35 @@
+import { readMintedSupply } from "./flareRead";
+
+/*
+  Whether a cube id has been minted, for the routes that must not publish
+  an unminted cube's traits early (metadata, image, embed, rarity,
+  search).
+
+  state is "minted", "unminted" or "unknown" when the minted count cannot
+  be read; callers answer "unknown" with a 503 rather than guessing.
+*/
+
+const MINTED_SUPPLY_TTL_MS = 30_000;
+
+export async function readMintState(tokenId) {
+  try {
+    const mintedSupply = await readMintedSupply({
+      cacheTtlMs: MINTED_SUPPLY_TTL_MS,
+    });
+
+    return {
+      state: BigInt(tokenId) <= mintedSupply ? "minted" : "unminted",
+      mintedSupply,
+    };
+  } catch (err) {
+    console.error("Minted supply read failed:", err);
+    return { state: "unknown", mintedSupply: null };
+  }
+}
+
+export function sendMintStateUnavailable(res) {
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Retry-After", "30");
+
+  return res.status(503).json({ error: "Minted supply unavailable" });
+}
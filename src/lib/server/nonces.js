@@ -0,0 +1,100 @@
+import crypto from "crypto";
+
+/*
+  Single-use wallet challenges.
+
+  A nonce is issued for one wallet and one purpose, stored together with
+  the exact message the wallet is asked to sign, and can be consumed once
+  before it expires.
+*/
+
+export const NONCE_TTL_MS = 5 * 60 * 1000;
+
+const NONCE_RETENTION_INTERVAL = "1 day";
+
+let nonceTableReady = null;
+
+function ensureNonceTable(sql) {
+  if (!nonceTableReady) {
+    nonceTableReady = sql`
+      CREATE TABLE IF NOT EXISTS auth_nonces (
+        nonce TEXT PRIMARY KEY,
+        purpose TEXT NOT NULL,
+        wallet TEXT NOT NULL,
+        subject TEXT,
+        message TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ
+      )
+    `.catch((err) => {
+      nonceTableReady = null;
+      throw err;
+    });
+  }
+
+  return nonceTableReady;
+}
+
+export function createNonce() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+export async function storeNonce(
+  sql,
+  { nonce, purpose, wallet, subject = null, message, expiresAt }
+) {
+  await ensureNonceTable(sql);
+
+  await sql`
+    DELETE FROM auth_nonces
+    WHERE expires_at < now() - ${NONCE_RETENTION_INTERVAL}::interval
+  `;
+
+  await sql`
+    INSERT INTO auth_nonces (
+      nonce,
+      purpose,
+      wallet,
+      subject,
+      message,
+      expires_at
+    )
+    VALUES (
+      ${nonce},
+      ${purpose},
+      ${wallet.toLowerCase()},
+      ${subject},
+      ${message},
+      ${expiresAt.toISOString()}
+    )
+  `;
+}
+
+/*
+  Marks the nonce as used and returns its row, or null when the nonce is
+  unknown, expired, already used, or was issued for a different wallet,
+  purpose or message. The UPDATE is the single point of consumption, so
+  two concurrent submissions cannot both succeed.
+*/
+export async function consumeNonce(sql, { nonce, purpose, wallet, message }) {
+  if (!nonce || typeof nonce !== "string" || !/^[a-f0-9]{32}$/.test(nonce)) {
+    return null;
+  }
+
+  await ensureNonceTable(sql);
+
+  const rows = await sql`
+    UPDATE auth_nonces
+    SET used_at = now()
+    WHERE nonce = ${nonce}
+      AND purpose = ${purpose}
+      AND wallet = ${wallet.toLowerCase()}
+      AND message = ${message}
+      AND used_at IS NULL
+      AND expires_at > now()
+    RETURNING nonce, purpose, wallet, subject, created_at, expires_at
+  `;
+
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
@@ -0,0 +1,85 @@
+import { MAINNET_CHAIN_ID } from "../contract";
+import { CONTROLLER_ADDRESS } from "../controller";
+import { SNAPSHOT_UINT_FIELDS, SNAPSHOT_VERSION } from "../protocolSnapshot";
+import { readControllerViews } from "./controllerRead";
+import {
+  CUBE_ADDRESS,
+  cubeTotalMinted,
+  decodeAddress,
+  ethCall,
+} from "./flareRead";
+
+/*
+  Builds the /api/snapshot document. All reads go out in one batch; a
+  value that fails to read is null rather than failing the snapshot.
+  The result is shared for SNAPSHOT_TTL_MS so concurrent visitors cost
+  one chain read.
+*/
+
+const SNAPSHOT_TTL_MS = 5000;
+const CONTROLLER_TTL_MS = 60_000;
+
+const CONTROLLER_VIEWS = SNAPSHOT_UINT_FIELDS.filter(
+  (field) => field !== "totalMinted"
+);
+
+let cachedSnapshot = null;
+let inflightSnapshot = null;
+
+async function readCubeController() {
+  const result = await ethCall(CUBE_ADDRESS, "0xf77c4791", {
+    cacheTtlMs: CONTROLLER_TTL_MS,
+  });
+
+  return decodeAddress(result);
+}
+
+async function buildSnapshot() {
+  const [views, totalMinted, controller] = await Promise.all([
+    readControllerViews(CONTROLLER_VIEWS, { cacheTtlMs: 0 }),
+    cubeTotalMinted({ cacheTtlMs: 0 }).catch((err) => {
+      console.warn("Snapshot totalMinted read failed:", err);
+      return null;
+    }),
+    readCubeController().catch(() => null),
+  ]);
+
+  const values = { ...views, totalMinted };
+
+  if (SNAPSHOT_UINT_FIELDS.every((field) => values[field] === null)) {
+    throw new Error("Every snapshot read failed");
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    chainId: MAINNET_CHAIN_ID,
+    readAt: Date.now(),
+    cube: CUBE_ADDRESS,
+    controller: controller || CONTROLLER_ADDRESS.toLowerCase(),
+    ...Object.fromEntries(
+      SNAPSHOT_UINT_FIELDS.map((field) => [
+        field,
+        values[field] === null ? null : values[field].toString(),
+      ])
+    ),
+  };
+}
+
+export async function readProtocolSnapshot() {
+  if (cachedSnapshot && cachedSnapshot.readAt + SNAPSHOT_TTL_MS > Date.now()) {
+    return cachedSnapshot;
+  }
+
+  if (!inflightSnapshot) {
+    inflightSnapshot = buildSnapshot()
+      .then((snapshot) => {
+        cachedSnapshot = snapshot;
+        return snapshot;
+      })
+      .finally(() => {
+        inflightSnapshot = null;
+      });
+  }
+
+  return inflightSnapshot;
+}
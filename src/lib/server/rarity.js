@@ -0,0 +1,126 @@
+import { GENESIS_CUBE_ID, OMEGA_CUBE_ID } from "../cubeAttributes";
+import { INDEXED_TRAITS, getTraitIndex } from "./traitIndex";
+
+/*
+  Collection-wide trait statistics and rarity ranking.
+
+  Score is the usual statistical rarity score: the sum over indexed traits
+  of (regular cubes / cubes sharing this value).
+
+  Genesis #1 and Omega #1000000 sit outside the trait table and are
+  ranked 1 and 2; every other cube is ranked from 3 by score, ties going
+  to the lower id.
+*/
+
+const SPECIAL_RANKS = {
+  [GENESIS_CUBE_ID]: { rank: 1, special: "Genesis" },
+  [OMEGA_CUBE_ID]: { rank: 2, special: "Omega" },
+};
+
+const FIRST_REGULAR_RANK = 3;
+
+let rarityTable = null;
+
+function computeRarityTable() {
+  const { regularCount, traits } = getTraitIndex();
+
+  const scores = new Float64Array(OMEGA_CUBE_ID + 1);
+  const order = [];
+
+  for (let id = 1; id <= OMEGA_CUBE_ID; id += 1) {
+    if (SPECIAL_RANKS[id]) continue;
+
+    let score = 0;
+    for (const trait of traits) {
+      score += regularCount / trait.counts[trait.byCube[id]];
+    }
+
+    scores[id] = score;
+    order.push(id);
+  }
+
+  order.sort((a, b) => scores[b] - scores[a] || a - b);
+
+  const ranks = new Uint32Array(OMEGA_CUBE_ID + 1);
+  order.forEach((id, position) => {
+    ranks[id] = position + FIRST_REGULAR_RANK;
+  });
+
+  return { regularCount, traits, scores, ranks };
+}
+
+function getRarityTable() {
+  if (!rarityTable) {
+    rarityTable = computeRarityTable();
+  }
+
+  return rarityTable;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function percentOf(count, total) {
+  return round((count / total) * 100, 2);
+}
+
+export function getRarityStats() {
+  const table = getRarityTable();
+
+  return {
+    totalSupply: OMEGA_CUBE_ID,
+    rankedCubes: table.regularCount,
+    specialCubes: Object.entries(SPECIAL_RANKS).map(([id, entry]) => ({
+      tokenId: Number(id),
+      ...entry,
+    })),
+    rankedTraits: INDEXED_TRAITS,
+    traits: Object.fromEntries(
+      table.traits.map((trait) => [
+        trait.traitType,
+        trait.values
+          .map((value, index) => ({
+            value,
+            count: trait.counts[index],
+            percent: percentOf(trait.counts[index], table.regularCount),
+          }))
+          .sort((a, b) => a.count - b.count),
+      ])
+    ),
+  };
+}
+
+export function getCubeRarity(id) {
+  const tokenId = Number(id);
+
+  if (SPECIAL_RANKS[tokenId]) {
+    return {
+      tokenId,
+      ...SPECIAL_RANKS[tokenId],
+      totalSupply: OMEGA_CUBE_ID,
+      score: null,
+      traits: [],
+    };
+  }
+
+  const table = getRarityTable();
+
+  return {
+    tokenId,
+    rank: table.ranks[tokenId],
+    totalSupply: OMEGA_CUBE_ID,
+    score: round(table.scores[tokenId], 4),
+    traits: table.traits.map((trait) => {
+      const index = trait.byCube[tokenId];
+
+      return {
+        trait_type: trait.traitType,
+        value: trait.values[index],
+        count: trait.counts[index],
+        percent: percentOf(trait.counts[index], table.regularCount),
+      };
+    }),
+  };
+}
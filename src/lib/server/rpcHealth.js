@@ -0,0 +1,217 @@
+import { MAINNET_CHAIN_ID, RPCS } from "../contract";
+import { preferRpcUrl } from "./flareRead";
+
+/*
+  Health of the public Flare endpoints in RPCS[14].
+
+  Each probe sends eth_chainId + eth_blockNumber as one batch to every
+  endpoint and records latency, chain id and head block. Lag is measured
+  against the highest head seen in the same round. The last
+  STATS_WINDOW probes per endpoint are kept in memory, so the rolling
+  stats cover this server instance only.
+
+  Probes are shared for PROBE_TTL_MS; a fresh ranking also moves
+  flareRead's starting endpoint to the healthiest one.
+*/
+
+const PROBE_TIMEOUT_MS = 4000;
+const PROBE_TTL_MS = 10_000;
+const STATS_WINDOW = 30;
+const MAX_HEALTHY_LAG_BLOCKS = 5;
+
+const statsByUrl = new Map();
+
+let cachedReport = null;
+let inflightReport = null;
+
+export function getPublicRpcUrls() {
+  return (RPCS?.[MAINNET_CHAIN_ID] || []).filter(Boolean);
+}
+
+async function probeEndpoint(url) {
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify([
+        { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] },
+        { jsonrpc: "2.0", id: 2, method: "eth_blockNumber", params: [] },
+      ]),
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`RPC request failed: ${response.status}`);
+    }
+
+    const replies = await response.json();
+
+    if (!Array.isArray(replies)) {
+      throw new Error("RPC endpoint does not support batch requests.");
+    }
+
+    const byId = new Map(replies.map((reply) => [reply?.id, reply]));
+    const chainReply = byId.get(1);
+    const headReply = byId.get(2);
+
+    if (!chainReply?.result || !headReply?.result) {
+      throw new Error(
+        chainReply?.error?.message ||
+          headReply?.error?.message ||
+          "RPC returned no result."
+      );
+    }
+
+    return {
+      ok: true,
+      latencyMs: Date.now() - startedAt,
+      chainId: Number(BigInt(chainReply.result)),
+      blockNumber: Number(BigInt(headReply.result)),
+      error: null,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      latencyMs: Date.now() - startedAt,
+      chainId: null,
+      blockNumber: null,
+      error: err?.message || "Probe failed",
+    };
+  }
+}
+
+function recordSample(url, sample) {
+  const samples = statsByUrl.get(url) || [];
+
+  samples.push(sample);
+  if (samples.length > STATS_WINDOW) samples.shift();
+
+  statsByUrl.set(url, samples);
+
+  return samples;
+}
+
+function median(values) {
+  if (!values.length) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2
+    ? sorted[mid]
+    : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function summarize(samples) {
+  const healthy = samples.filter((sample) => sample.healthy);
+  const latencies = samples
+    .filter((sample) => sample.ok)
+    .map((sample) => sample.latencyMs);
+
+  return {
+    samples: samples.length,
+    healthyRate: samples.length ? healthy.length / samples.length : 0,
+    medianLatencyMs: median(latencies),
+    maxLagBlocks: samples.reduce(
+      (max, sample) =>
+        sample.lagBlocks === null ? max : Math.max(max, sample.lagBlocks),
+      0
+    ),
+  };
+}
+
+/*
+  Healthy endpoints first, then by rolling healthy rate, then by median
+  latency.
+*/
+function compareEndpoints(a, b) {
+  if (a.healthy !== b.healthy) return a.healthy ? -1 : 1;
+
+  if (a.stats.healthyRate !== b.stats.healthyRate) {
+    return b.stats.healthyRate - a.stats.healthyRate;
+  }
+
+  const latencyA = a.stats.medianLatencyMs ?? Infinity;
+  const latencyB = b.stats.medianLatencyMs ?? Infinity;
+
+  return latencyA - latencyB;
+}
+
+async function buildReport() {
+  const urls = getPublicRpcUrls();
+  const probes = await Promise.all(urls.map(probeEndpoint));
+  const checkedAt = Date.now();
+
+  const head = probes.reduce(
+    (max, probe) =>
+      probe.ok && probe.chainId === MAINNET_CHAIN_ID
+        ? Math.max(max, probe.blockNumber)
+        : max,
+    0
+  );
+
+  const endpoints = urls.map((url, index) => {
+    const probe = probes[index];
+    const onChain = probe.ok && probe.chainId === MAINNET_CHAIN_ID;
+    const lagBlocks = onChain ? head - probe.blockNumber : null;
+    const healthy = onChain && lagBlocks <= MAX_HEALTHY_LAG_BLOCKS;
+
+    const samples = recordSample(url, {
+      at: checkedAt,
+      ok: probe.ok,
+      healthy,
+      latencyMs: probe.latencyMs,
+      lagBlocks,
+    });
+
+    return {
+      url,
+      healthy,
+      ok: probe.ok,
+      chainId: probe.chainId,
+      blockNumber: probe.blockNumber,
+      lagBlocks,
+      latencyMs: probe.latencyMs,
+      error: probe.ok && !onChain ? "Wrong chain id" : probe.error,
+      stats: summarize(samples),
+    };
+  });
+
+  const ranked = [...endpoints].sort(compareEndpoints);
+
+  if (ranked[0]?.healthy) {
+    preferRpcUrl(ranked[0].url);
+  }
+
+  return {
+    chainId: MAINNET_CHAIN_ID,
+    checkedAt,
+    headBlock: head || null,
+    maxHealthyLagBlocks: MAX_HEALTHY_LAG_BLOCKS,
+    ranking: ranked.map((endpoint) => endpoint.url),
+    endpoints: ranked,
+  };
+}
+
+export async function readRpcHealth() {
+  if (cachedReport && Date.now() - cachedReport.checkedAt < PROBE_TTL_MS) {
+    return cachedReport;
+  }
+
+  if (!inflightReport) {
+    inflightReport = buildReport()
+      .then((report) => {
+        cachedReport = report;
+        return report;
+      })
+      .finally(() => {
+        inflightReport = null;
+      });
+  }
+
+  return inflightReport;
+}
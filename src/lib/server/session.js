@@ -0,0 +1,109 @@
+import crypto from "crypto";
+
+/*
+  Wallet session cookie issued after a Sign-In-With-Ethereum verification.
+
+  Format: <wallet>.<expiresAtMs>.<hex HMAC-SHA256 of "<wallet>.<expiresAtMs>">
+  signed with AUTH_SESSION_SECRET, the same shape as the discord_session
+  cookie read by verify-guardian.
+*/
+
+export const WALLET_SESSION_COOKIE = "wallet_session";
+
+export const WALLET_SESSION_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+export function parseCookies(cookieHeader = "") {
+  return Object.fromEntries(
+    cookieHeader
+      .split(";")
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((part) => {
+        const index = part.indexOf("=");
+
+        return [
+          decodeURIComponent(part.slice(0, index)),
+          decodeURIComponent(part.slice(index + 1)),
+        ];
+      })
+  );
+}
+
+function safeEqualHex(a, b) {
+  try {
+    const aBuffer = Buffer.from(a, "hex");
+    const bBuffer = Buffer.from(b, "hex");
+
+    if (aBuffer.length === 0 || aBuffer.length !== bBuffer.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(aBuffer, bBuffer);
+  } catch {
+    return false;
+  }
+}
+
+function signSessionPayload(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+export function createWalletSession(wallet, secret, now = Date.now()) {
+  const expiresAt = now + WALLET_SESSION_MAX_AGE_SECONDS * 1000;
+  const payload = `${wallet.toLowerCase()}.${expiresAt}`;
+
+  return {
+    value: `${payload}.${signSessionPayload(payload, secret)}`,
+    expiresAt,
+  };
+}
+
+export function readWalletSession(cookieHeader, secret) {
+  if (!secret) return null;
+
+  const session = parseCookies(cookieHeader || "")[WALLET_SESSION_COOKIE];
+
+  if (!session || typeof session !== "string") return null;
+
+  const parts = session.split(".");
+
+  if (parts.length !== 3) return null;
+
+  const [wallet, expiresAt, suppliedSignature] = parts;
+
+  if (
+    !/^0x[a-f0-9]{40}$/.test(wallet) ||
+    !/^[0-9]+$/.test(expiresAt) ||
+    Number(expiresAt) <= Date.now()
+  ) {
+    return null;
+  }
+
+  const expectedSignature = signSessionPayload(
+    `${wallet}.${expiresAt}`,
+    secret
+  );
+
+  if (!safeEqualHex(suppliedSignature, expectedSignature)) {
+    return null;
+  }
+
+  return {
+    wallet,
+    expiresAt: Number(expiresAt),
+  };
+}
+
+export function setWalletSessionCookie(res, sessionValue) {
+  res.setHeader(
+    "Set-Cookie",
+    [
+      `${WALLET_SESSION_COOKIE}=${encodeURIComponent(sessionValue)}`,
+      "Path=/",
+      `Max-Age=${WALLET_SESSION_MAX_AGE_SECONDS}`,
+      "HttpOnly",
+      "Secure",
+      "SameSite=None",
+    ].join("; ")
+  );
+}
@@ -0,0 +1,153 @@
+import { getAddress, verifyMessage } from "ethers";
+import {
+  createSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage,
+} from "viem/siwe";
+import { MAINNET_CHAIN_ID } from "../contract";
+import {
+  NONCE_TTL_MS,
+  consumeNonce,
+  createNonce,
+  storeNonce,
+} from "./nonces";
+
+/*
+  Sign-In-With-Ethereum (EIP-4361) challenges.
+
+  Messages are built here, never by the client, and are bound to the
+  requesting domain, Flare Mainnet, a single-use nonce and a short
+  expiration window.
+*/
+
+const SIWE_PURPOSE = "siwe";
+
+const SIWE_STATEMENT =
+  "Sign in to Energon to verify you control this wallet. This request does not send a transaction or cost gas.";
+
+function toOriginUrl(origin, allowedOrigins) {
+  const fallback = allowedOrigins[0];
+
+  try {
+    return new URL(allowedOrigins.includes(origin) ? origin : fallback);
+  } catch {
+    return new URL(fallback);
+  }
+}
+
+export async function issueSiweMessage(sql, { wallet, origin, allowedOrigins }) {
+  const originUrl = toOriginUrl(origin, allowedOrigins);
+  const nonce = createNonce();
+  const issuedAt = new Date();
+  const expirationTime = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+
+  // EIP-4361 wants the EIP-55 checksummed address in the message.
+  const message = createSiweMessage({
+    address: getAddress(wallet),
+    chainId: MAINNET_CHAIN_ID,
+    domain: originUrl.host,
+    uri: originUrl.origin,
+    version: "1",
+    statement: SIWE_STATEMENT,
+    nonce,
+    issuedAt,
+    expirationTime,
+  });
+
+  await storeNonce(sql, {
+    nonce,
+    purpose: SIWE_PURPOSE,
+    wallet,
+    subject: originUrl.host,
+    message,
+    expiresAt: expirationTime,
+  });
+
+  return {
+    nonce,
+    message,
+    expiresAt: expirationTime,
+  };
+}
+
+/*
+  Resolves to { ok: true, wallet } or { ok: false, status, error }.
+  When `wallet` is given the message must also be signed by that wallet.
+*/
+export async function verifySiweSignature(
+  sql,
+  { message, signature, wallet = null, allowedOrigins }
+) {
+  if (!message || typeof message !== "string") {
+    return { ok: false, status: 400, error: "Missing verification message." };
+  }
+
+  if (!signature || typeof signature !== "string") {
+    return { ok: false, status: 400, error: "Missing wallet signature." };
+  }
+
+  const parsed = parseSiweMessage(message);
+
+  const allowedDomains = allowedOrigins.map((origin) => new URL(origin).host);
+
+  if (
+    !parsed.domain ||
+    !allowedDomains.includes(parsed.domain) ||
+    parsed.chainId !== MAINNET_CHAIN_ID ||
+    parsed.version !== "1" ||
+    !parsed.nonce ||
+    !parsed.issuedAt ||
+    !parsed.expirationTime
+  ) {
+    return { ok: false, status: 400, error: "Invalid verification message." };
+  }
+
+  if (
+    !validateSiweMessage({
+      message: parsed,
+      address: wallet || undefined,
+    })
+  ) {
+    return {
+      ok: false,
+      status: 401,
+      error: "Verification message is expired or does not match wallet.",
+    };
+  }
+
+  let recoveredAddress = "";
+
+  try {
+    recoveredAddress = verifyMessage(message, signature).toLowerCase();
+  } catch {
+    return { ok: false, status: 400, error: "Invalid wallet signature." };
+  }
+
+  if (
+    recoveredAddress !== parsed.address.toLowerCase() ||
+    (wallet && recoveredAddress !== wallet.toLowerCase())
+  ) {
+    return { ok: false, status: 403, error: "Signature does not match wallet." };
+  }
+
+  const challenge = await consumeNonce(sql, {
+    nonce: parsed.nonce,
+    purpose: SIWE_PURPOSE,
+    wallet: recoveredAddress,
+    message,
+  });
+
+  if (!challenge) {
+    return {
+      ok: false,
+      status: 401,
+      error: "Verification nonce is invalid, expired or already used.",
+    };
+  }
+
+  return {
+    ok: true,
+    wallet: recoveredAddress,
+    domain: parsed.domain,
+  };
+}
@@ -0,0 +1,101 @@
+/*
+  tick_attempts: one row per /api/tick run, whatever the outcome.
+
+  status is one of:
+    skipped   – pre-flight decided not to send (not due, simulation
+                reverted, fee cap or daily gas ceiling)
+    confirmed – the tick mined successfully
+    submitted – sent, but not mined before the confirmation timeout
+    raced     – another keeper advanced the height first
+    reverted  – mined but reverted for another reason
+    failed    – an error before or while sending
+
+  gas_cost_wei is the actual cost when the receipt is known, otherwise the
+  worst case (gas limit × max fee) so pending ticks still count against
+  the daily ceiling.
+*/
+
+let tickLedgerReady = null;
+
+export function ensureTickLedger(sql) {
+  if (!tickLedgerReady) {
+    tickLedgerReady = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS tick_attempts (
+          id BIGSERIAL PRIMARY KEY,
+          status TEXT NOT NULL,
+          reason TEXT,
+          keeper TEXT,
+          seconds_until_next INTEGER,
+          height_before BIGINT,
+          height_after BIGINT,
+          tx_hash TEXT,
+          gas_estimate NUMERIC,
+          gas_limit NUMERIC,
+          gas_used NUMERIC,
+          max_fee_per_gas NUMERIC,
+          effective_gas_price NUMERIC,
+          gas_cost_wei NUMERIC NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+      `;
+    })().catch((err) => {
+      tickLedgerReady = null;
+      throw err;
+    });
+  }
+
+  return tickLedgerReady;
+}
+
+export async function readGasSpentToday(sql) {
+  const rows = await sql`
+    SELECT COALESCE(SUM(gas_cost_wei), 0)::text AS spent
+    FROM tick_attempts
+    WHERE created_at >= date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+  `;
+
+  return BigInt(rows[0]?.spent || "0");
+}
+
+function toText(value) {
+  return value === null || value === undefined ? null : value.toString();
+}
+
+export async function recordTickAttempt(sql, attempt) {
+  await sql`
+    INSERT INTO tick_attempts (
+      status,
+      reason,
+      keeper,
+      seconds_until_next,
+      height_before,
+      height_after,
+      tx_hash,
+      gas_estimate,
+      gas_limit,
+      gas_used,
+      max_fee_per_gas,
+      effective_gas_price,
+      gas_cost_wei,
+      error
+    )
+    VALUES (
+      ${attempt.status},
+      ${attempt.reason ?? null},
+      ${attempt.keeper ?? null},
+      ${attempt.secondsUntilNext ?? null},
+      ${toText(attempt.heightBefore)},
+      ${toText(attempt.heightAfter)},
+      ${attempt.txHash ?? null},
+      ${toText(attempt.gasEstimate)},
+      ${toText(attempt.gasLimit)},
+      ${toText(attempt.gasUsed)},
+      ${toText(attempt.maxFeePerGas)},
+      ${toText(attempt.effectiveGasPrice)},
+      ${toText(attempt.gasCostWei) ?? "0"},
+      ${attempt.error ?? null}
+    )
+  `;
+}
@@ -0,0 +1,205 @@
+import { COLOR_ALERT, COLOR_SIGNAL, postEmbeds } from "./announcer";
+import { readControllerViews } from "./controllerRead";
+
+/*
+  Missed-tick watchdog.
+
+  The Energon clock only advances when someone calls tickEnergon(). Each
+  run reads the controller clock; while secondsUntilNextEnergonBlock() is
+  0 the stall is recorded in tick_gaps, one row per stalled height:
+
+    due_at        – nextEnergonTimestamp(), when the tick became callable
+    last_seen_at  – the last run that still saw the stall
+    flagged_at    – set once the stall outlived the grace period and the
+                    alert was posted
+    resolved_at   – lastTickTime() of the tick that moved the height on
+
+  Alerts go to TICK_WATCHDOG_WEBHOOK_URL, falling back to
+  DISCORD_ANNOUNCE_WEBHOOK_URL. Without either, stalls are still recorded.
+  flagged_at is only written after the alert was accepted, so a failed
+  post is retried on the next run.
+*/
+
+const DEFAULT_GRACE_SECONDS = 300;
+
+const CLOCK_VIEWS = [
+  "energonHeight",
+  "secondsUntilNextEnergonBlock",
+  "nextEnergonTimestamp",
+  "lastTickTime",
+];
+
+let tickGapTableReady = null;
+
+export function ensureTickGapTable(sql) {
+  if (!tickGapTableReady) {
+    tickGapTableReady = (async () => {
+      await sql`
+        CREATE TABLE IF NOT EXISTS tick_gaps (
+          id BIGSERIAL PRIMARY KEY,
+          energon_height BIGINT NOT NULL UNIQUE,
+          due_at TIMESTAMPTZ NOT NULL,
+          first_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+          last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+          flagged_at TIMESTAMPTZ,
+          resolved_at TIMESTAMPTZ,
+          resolved_height BIGINT
+        )
+      `;
+    })().catch((err) => {
+      tickGapTableReady = null;
+      throw err;
+    });
+  }
+
+  return tickGapTableReady;
+}
+
+export function getTickGraceSeconds() {
+  const value = Number(process.env.TICK_WATCHDOG_GRACE_SECONDS);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_GRACE_SECONDS;
+}
+
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${total % 60}s`;
+  return `${total}s`;
+}
+
+function stallEmbed(height, overdueSeconds, graceSeconds) {
+  return {
+    title: "Energon clock stalled",
+    color: COLOR_ALERT,
+    description: `Energon Height ${Number(height).toLocaleString(
+      "en-US"
+    )} has been due for ${formatDuration(
+      overdueSeconds
+    )} (grace ${formatDuration(graceSeconds)}). Nobody has called tickEnergon().`,
+  };
+}
+
+function recoveryEmbed(gap, height) {
+  return {
+    title: "Energon clock recovered",
+    color: COLOR_SIGNAL,
+    description: `Ticked to Energon Height ${Number(height).toLocaleString(
+      "en-US"
+    )} after a ${formatDuration(gap.gap_seconds)} stall.`,
+  };
+}
+
+export async function runTickWatchdog(sql) {
+  await ensureTickGapTable(sql);
+
+  const views = await readControllerViews(CLOCK_VIEWS, { cacheTtlMs: 0 });
+
+  if (views.energonHeight === null || views.secondsUntilNextEnergonBlock === null) {
+    throw new Error("Failed to read the Energon clock");
+  }
+
+  const webhookUrl =
+    process.env.TICK_WATCHDOG_WEBHOOK_URL ||
+    process.env.DISCORD_ANNOUNCE_WEBHOOK_URL;
+
+  const graceSeconds = getTickGraceSeconds();
+  const nowSec = Math.floor(Date.now() / 1000);
+  const height = views.energonHeight.toString();
+  const tickedAt = Number(views.lastTickTime ?? BigInt(nowSec));
+
+  // Stalls at an older height ended with the tick that reached this one.
+  const ended = await sql`
+    SELECT
+      energon_height::text AS energon_height,
+      flagged_at,
+      GREATEST(0, ${tickedAt} - EXTRACT(EPOCH FROM due_at))::float8 AS gap_seconds
+    FROM tick_gaps
+    WHERE resolved_at IS NULL AND energon_height < ${height}
+  `;
+
+  const recoveries = ended.filter((gap) => gap.flagged_at);
+
+  if (webhookUrl && recoveries.length) {
+    await postEmbeds(
+      webhookUrl,
+      recoveries.map((gap) => recoveryEmbed(gap, height))
+    );
+  }
+
+  if (ended.length) {
+    await sql`
+      UPDATE tick_gaps
+      SET resolved_at = to_timestamp(${tickedAt}), resolved_height = ${height}
+      WHERE resolved_at IS NULL AND energon_height < ${height}
+    `;
+  }
+
+  const stalled = views.secondsUntilNextEnergonBlock === 0n;
+  const dueAt = Number(views.nextEnergonTimestamp ?? BigInt(nowSec));
+  const overdueSeconds = stalled ? Math.max(0, nowSec - dueAt) : 0;
+
+  let flagged = false;
+
+  if (stalled) {
+    const rows = await sql`
+      INSERT INTO tick_gaps (energon_height, due_at)
+      VALUES (${height}, to_timestamp(${Math.min(dueAt, nowSec)}))
+      ON CONFLICT (energon_height) DO UPDATE SET last_seen_at = now()
+      RETURNING flagged_at
+    `;
+
+    if (overdueSeconds > graceSeconds && !rows[0]?.flagged_at) {
+      if (webhookUrl) {
+        await postEmbeds(webhookUrl, [
+          stallEmbed(height, overdueSeconds, graceSeconds),
+        ]);
+      } else {
+        console.warn(
+          `Energon clock stalled at height ${height} for ${overdueSeconds}s`
+        );
+      }
+
+      await sql`
+        UPDATE tick_gaps SET flagged_at = now()
+        WHERE energon_height = ${height}
+      `;
+
+      flagged = true;
+    }
+  }
+
+  return {
+    energonHeight: height,
+    stalled,
+    overdueSeconds,
+    graceSeconds,
+    flagged,
+    resolved: ended.length,
+    alerted: Boolean(webhookUrl) && (flagged || recoveries.length > 0),
+  };
+}
+
+export async function readTickGaps(sql, { limit }) {
+  await ensureTickGapTable(sql);
+
+  return sql`
+    SELECT
+      energon_height::text AS energon_height,
+      due_at,
+      first_seen_at,
+      last_seen_at,
+      flagged_at,
+      resolved_at,
+      resolved_height::text AS resolved_height,
+      GREATEST(
+        0,
+        EXTRACT(EPOCH FROM COALESCE(resolved_at, now()) - due_at)
+      )::float8 AS gap_seconds
+    FROM tick_gaps
+    ORDER BY energon_height DESC
+    LIMIT ${limit}
+  `;
+}
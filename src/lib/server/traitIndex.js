@@ -0,0 +1,85 @@
+import {
+  GENESIS_CUBE_ID,
+  OMEGA_CUBE_ID,
+  buildAttributes,
+} from "../cubeAttributes";
+
+/*
+  In-memory index of every regular cube's traits.
+
+  buildAttributes is deterministic, so the whole collection is walked once
+  per server instance (a couple of seconds) and each trait is stored as a
+  small value index per cube. Rarity ranking and trait search both read
+  from this table.
+
+  Overlay Seed is a per-cube noise seed rather than a visible trait, so it
+  is not indexed. Genesis #1 and Omega #1000000 carry their own metadata
+  and sit outside the table.
+*/
+
+export const INDEXED_TRAITS = [
+  "Plasma Core",
+  "Background",
+  "Energy Output",
+  "Power Consumption",
+  "Plasma Turbulence",
+  "Overlay Density",
+  "Overlay Layout",
+  "Rarity Tier",
+];
+
+let traitIndex = null;
+
+export function isSpecialCube(id) {
+  return id === GENESIS_CUBE_ID || id === OMEGA_CUBE_ID;
+}
+
+function computeTraitIndex() {
+  const regularCount = OMEGA_CUBE_ID - 2;
+
+  const traits = INDEXED_TRAITS.map((traitType) => ({
+    traitType,
+    values: [],
+    indexOf: new Map(),
+    counts: [],
+    byCube: new Uint16Array(OMEGA_CUBE_ID + 1),
+  }));
+
+  for (let id = 1; id <= OMEGA_CUBE_ID; id += 1) {
+    if (isSpecialCube(id)) continue;
+
+    const attributes = buildAttributes(id);
+
+    for (const trait of traits) {
+      const value = attributes.find(
+        (attribute) => attribute.trait_type === trait.traitType
+      ).value;
+
+      let index = trait.indexOf.get(value);
+
+      if (index === undefined) {
+        index = trait.values.length;
+        trait.indexOf.set(value, index);
+        trait.values.push(value);
+        trait.counts.push(0);
+      }
+
+      trait.counts[index] += 1;
+      trait.byCube[id] = index;
+    }
+  }
+
+  return {
+    regularCount,
+    traits,
+    byType: Object.fromEntries(traits.map((trait) => [trait.traitType, trait])),
+  };
+}
+
+export function getTraitIndex() {
+  if (!traitIndex) {
+    traitIndex = computeTraitIndex();
+  }
+
+  return traitIndex;
+}
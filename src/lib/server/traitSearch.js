@@ -0,0 +1,155 @@
+import { GENESIS_CUBE_ID, OMEGA_CUBE_ID } from "../cubeAttributes";
+import { getTraitIndex, isSpecialCube } from "./traitIndex";
+
+/*
+  Trait search over the precomputed trait index.
+
+  Each filter is turned into an allow-list over the trait's distinct
+  values, so the scan is one typed-array lookup per filter per cube.
+
+  Genesis #1 and Omega #1000000 have no regular traits; they only match a
+  rarity tier filter naming "Genesis" or "Omega" with no other filters.
+*/
+
+export const VALUE_FILTERS = {
+  plasmaCore: "Plasma Core",
+  background: "Background",
+  rarityTier: "Rarity Tier",
+  layout: "Overlay Layout",
+};
+
+export const RANGE_FILTERS = {
+  energy: "Energy Output",
+  power: "Power Consumption",
+  turbulence: "Plasma Turbulence",
+  density: "Overlay Density",
+};
+
+const SPECIAL_TIERS = {
+  genesis: GENESIS_CUBE_ID,
+  omega: OMEGA_CUBE_ID,
+};
+
+export class SearchFilterError extends Error {}
+
+function numericValue(value) {
+  return Number(String(value).replace("%", ""));
+}
+
+function allowValues(trait, accepts) {
+  const allowed = new Uint8Array(trait.values.length);
+
+  trait.values.forEach((value, index) => {
+    if (accepts(value)) allowed[index] = 1;
+  });
+
+  return allowed;
+}
+
+function buildMatchers(filters, index) {
+  const matchers = [];
+  const specials = [];
+
+  for (const [key, traitType] of Object.entries(VALUE_FILTERS)) {
+    const wanted = filters[key];
+    if (!wanted?.length) continue;
+
+    const trait = index.byType[traitType];
+    const known = new Map(
+      trait.values.map((value) => [String(value).toLowerCase(), value])
+    );
+    const accepted = new Set();
+
+    for (const raw of wanted) {
+      const name = raw.toLowerCase();
+
+      if (key === "rarityTier" && SPECIAL_TIERS[name]) {
+        specials.push(SPECIAL_TIERS[name]);
+        continue;
+      }
+
+      if (!known.has(name)) {
+        throw new SearchFilterError(`Unknown ${traitType}: ${raw}`);
+      }
+
+      accepted.add(known.get(name));
+    }
+
+    matchers.push({
+      trait,
+      allowed: allowValues(trait, (value) => accepted.has(value)),
+    });
+  }
+
+  for (const [key, traitType] of Object.entries(RANGE_FILTERS)) {
+    const range = filters[key];
+    if (!range) continue;
+
+    const { min = -Infinity, max = Infinity } = range;
+    if (min > max) {
+      throw new SearchFilterError(`Empty ${traitType} range`);
+    }
+
+    const trait = index.byType[traitType];
+
+    matchers.push({
+      trait,
+      allowed: allowValues(trait, (value) => {
+        const n = numericValue(value);
+        return n >= min && n <= max;
+      }),
+    });
+  }
+
+  // Special cubes have no regular traits, so any filter other than the
+  // rarity tier rules them out.
+  const onlyTier = matchers.every(
+    (matcher) => matcher.trait.traitType === "Rarity Tier"
+  );
+
+  return { matchers, specials: onlyTier ? specials : [] };
+}
+
+/*
+  Returns one page of ascending token ids plus the total match count.
+  Only ids up to maxTokenId are searched: ids are assigned sequentially
+  from 1, so passing the minted supply keeps unminted traits out.
+*/
+export function searchCubes(
+  filters,
+  { offset = 0, limit = 100, maxTokenId = OMEGA_CUBE_ID } = {}
+) {
+  const index = getTraitIndex();
+  const { matchers, specials } = buildMatchers(filters, index);
+
+  const hasFilters = matchers.length > 0;
+
+  const tokenIds = [];
+  let total = 0;
+
+  const accept = (id) => {
+    if (total >= offset && tokenIds.length < limit) tokenIds.push(id);
+    total += 1;
+  };
+
+  const lastId = Math.min(OMEGA_CUBE_ID, maxTokenId);
+
+  for (let id = 1; id <= lastId; id += 1) {
+    if (isSpecialCube(id)) {
+      if (!hasFilters || specials.includes(id)) accept(id);
+      continue;
+    }
+
+    let match = true;
+    for (const { trait, allowed } of matchers) {
+      if (!allowed[trait.byCube[id]]) {
+        match = false;
+        break;
+      }
+    }
+
+    if (match) accept(id);
+  }
+
+  return { total, tokenIds };
+}
@@ -0,0 +1,82 @@
+import { neon } from "@neondatabase/serverless";
+import { issueSiweMessage } from "../../../lib/server/siwe";
+
+const ALLOWED_ORIGINS = [
+  "https://guardian.energon.app",
+  "http://localhost:3000",
+  "http://localhost:8080",
+];
+
+function setCors(req, res) {
+  const origin = req.headers.origin;
+
+  if (ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+  }
+
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const origin = req.headers.origin;
+
+  if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+    return res.status(403).json({
+      error: "Origin not allowed.",
+    });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "Method not allowed.",
+    });
+  }
+
+  try {
+    if (!process.env.DATABASE_URL) {
+      return res.status(500).json({
+        error: "DATABASE_URL environment variable is missing.",
+      });
+    }
+
+    const { wallet } = req.body || {};
+
+    if (!wallet || !/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+      return res.status(400).json({
+        error: "Invalid wallet.",
+      });
+    }
+
+    const sql = neon(process.env.DATABASE_URL);
+
+    const challenge = await issueSiweMessage(sql, {
+      wallet: wallet.toLowerCase(),
+      origin,
+      allowedOrigins: ALLOWED_ORIGINS,
+    });
+
+    res.setHeader("Cache-Control", "no-store");
+
+    return res.status(200).json({
+      ok: true,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt.toISOString(),
+    });
+  } catch (error) {
+    console.error("SIWE nonce error:", error);
+
+    return res.status(500).json({
+      error: "Sign-in challenge could not be created.",
+    });
+  }
+}
@@ -0,0 +1,92 @@
+import { neon } from "@neondatabase/serverless";
+import { verifySiweSignature } from "../../../lib/server/siwe";
+import {
+  createWalletSession,
+  setWalletSessionCookie,
+} from "../../../lib/server/session";
+
+const ALLOWED_ORIGINS = [
+  "https://guardian.energon.app",
+  "http://localhost:3000",
+  "http://localhost:8080",
+];
+
+function setCors(req, res) {
+  const origin = req.headers.origin;
+
+  if (ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+  }
+
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  const origin = req.headers.origin;
+
+  if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+    return res.status(403).json({
+      error: "Origin not allowed.",
+    });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "Method not allowed.",
+    });
+  }
+
+  try {
+    const sessionSecret = process.env.AUTH_SESSION_SECRET;
+
+    if (!process.env.DATABASE_URL || !sessionSecret) {
+      return res.status(500).json({
+        verified: false,
+        error: "Auth environment variables are missing.",
+      });
+    }
+
+    const { message, signature } = req.body || {};
+
+    const sql = neon(process.env.DATABASE_URL);
+
+    const result = await verifySiweSignature(sql, {
+      message,
+      signature,
+      allowedOrigins: ALLOWED_ORIGINS,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        verified: false,
+        error: result.error,
+      });
+    }
+
+    const session = createWalletSession(result.wallet, sessionSecret);
+
+    setWalletSessionCookie(res, session.value);
+
+    return res.status(200).json({
+      verified: true,
+      wallet: result.wallet,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+    });
+  } catch (error) {
+    console.error("SIWE verification error:", error);
+
+    return res.status(500).json({
+      verified: false,
+      error: "Sign-in verification failed.",
+    });
+  }
+}
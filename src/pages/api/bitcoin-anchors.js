@@ -0,0 +1,83 @@
+// src/pages/api/bitcoin-anchors.js
+
+import { neon } from "@neondatabase/serverless";
+import { readBitcoinAnchors } from "../../lib/server/eventHistory";
+import { readControllerViews } from "../../lib/server/controllerRead";
+
+/*
+  Bitcoin blocks anchored by the controller: the current
+  lastProcessedBitcoinBlockHeight() / lastBitcoinBlockHash() plus the
+  indexed BitcoinBlockSubmitted history (page, limit, and an optional
+  fromHeight / toHeight range for the header verifier).
+*/
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 1000;
+
+function readPositiveInt(raw, fallback) {
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+function readHeight(raw) {
+  if (raw === undefined || raw === "") return null;
+
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 ? n : undefined;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const fromHeight = readHeight(req.query.fromHeight);
+  const toHeight = readHeight(req.query.toHeight);
+
+  if (fromHeight === undefined || toHeight === undefined) {
+    return res.status(400).json({ error: "Invalid Bitcoin height range" });
+  }
+
+  if (!process.env.DATABASE_URL) {
+    return res.status(500).json({ error: "Missing DATABASE_URL" });
+  }
+
+  const limit = Math.min(readPositiveInt(req.query.limit, DEFAULT_LIMIT), MAX_LIMIT);
+  const page = readPositiveInt(req.query.page, 1);
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+
+    const [history, views] = await Promise.all([
+      readBitcoinAnchors(sql, {
+        limit,
+        offset: (page - 1) * limit,
+        fromHeight,
+        toHeight,
+      }),
+      readControllerViews([
+        "lastProcessedBitcoinBlockHeight",
+        "lastBitcoinBlockHash",
+      ]),
+    ]);
+
+    res.setHeader(
+      "Cache-Control",
+      "public, s-maxage=60, stale-while-revalidate=120"
+    );
+
+    return res.status(200).json({
+      lastHeight:
+        views.lastProcessedBitcoinBlockHeight === null
+          ? null
+          : Number(views.lastProcessedBitcoinBlockHeight),
+      lastHash: views.lastBitcoinBlockHash,
+      page,
+      limit,
+      ...history,
+    });
+  } catch (err) {
+    console.error("Bitcoin anchors error:", err);
+    return res.status(500).json({ error: "Failed to read Bitcoin anchors" });
+  }
+}
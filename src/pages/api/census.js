@@ -0,0 +1,33 @@
+// src/pages/api/census.js
+
+import { neon } from "@neondatabase/serverless";
+import { readHolderCensus } from "../../lib/server/eventHistory";
+
+/*
+  Coherent (exactly one cube) vs fractured (more than one) holders,
+  replayed from the indexed Transfer history.
+*/
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!process.env.DATABASE_URL) {
+    return res.status(500).json({ error: "Missing DATABASE_URL" });
+  }
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+    const census = await readHolderCensus(sql);
+
+    res.setHeader(
+      "Cache-Control",
+      "public, s-maxage=300, stale-while-revalidate=600"
+    );
+
+    return res.status(200).json(census);
+  } catch (err) {
+    console.error("Census error:", err);
+    return res.status(500).json({ error: "Failed to build holder census" });
+  }
+}
@@ -1,11 +1,7 @@
 import crypto from "crypto";
-import { verifyMessage } from "ethers";
-
-const CUBE_ADDRESS =
-  "0x30e1076bDf2B123B54486C2721125388af2d2061".toLowerCase();
-
-const VERIFICATION_MESSAGE =
-  "Verify Energon Guardian";
+import { neon } from "@neondatabase/serverless";
+import { readCubeHolding } from "../../../lib/server/flareRead";
+import { verifySiweSignature } from "../../../lib/server/siwe";
 
 const ALLOWED_ORIGINS = [
   "https://guardian.energon.app",
@@ -36,106 +32,6 @@ function setCors(req, res) {
   );
 }
 
-function padAddress(address) {
-  return address
-    .toLowerCase()
-    .replace("0x", "")
-    .padStart(64, "0");
-}
-
-function padUint(value) {
-  return BigInt(value)
-    .toString(16)
-    .padStart(64, "0");
-}
-
-function decodeAddress(hex) {
-  if (!hex || hex === "0x") {
-    return "";
-  }
-
-  return (
-    "0x" +
-    hex.slice(-40).toLowerCase()
-  );
-}
-
-async function rpcCall(to, data) {
-  const rpcUrl =
-    process.env.FLARE_RPC ||
-    process.env.FLR_RPC;
-
-  if (!rpcUrl) {
-    throw new Error(
-      "Missing FLARE_RPC environment variable."
-    );
-  }
-
-  const response =
-    await fetch(rpcUrl, {
-      method: "POST",
-
-      headers: {
-        "Content-Type":
-          "application/json",
-      },
-
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        id: 1,
-        method: "eth_call",
-        params: [
-          { to, data },
-          "latest",
-        ],
-      }),
-    });
-
-  const json =
-    await response.json();
-
-  if (
-    !response.ok ||
-    json.error ||
-    !json.result
-  ) {
-    throw new Error(
-      json?.error?.message ||
-      "Flare RPC request failed."
-    );
-  }
-
-  return json.result;
-}
-
-async function cubeBalanceOf(wallet) {
-  const data =
-    "0x70a08231" +
-    padAddress(wallet);
-
-  const result =
-    await rpcCall(
-      CUBE_ADDRESS,
-      data
-    );
-
-  return BigInt(result);
-}
-
-async function ownerOf(cubeId) {
-  const data =
-    "0x6352211e" +
-    padUint(cubeId);
-
-  const result =
-    await rpcCall(
-      CUBE_ADDRESS,
-      data
-    );
-
-  return decodeAddress(result);
-}
-
 function createGuardianState(
   wallet,
   cubeId,
@@ -218,26 +114,6 @@ export default async function handler(
       });
     }
 
-    if (
-      message !==
-      VERIFICATION_MESSAGE
-    ) {
-      return res.status(400).json({
-        error:
-          "Invalid verification message.",
-      });
-    }
-
-    if (
-      !signature ||
-      typeof signature !== "string"
-    ) {
-      return res.status(400).json({
-        error:
-          "Missing wallet signature.",
-      });
-    }
-
     const cleanCubeId =
       String(cubeId || "").trim();
 
@@ -266,25 +142,47 @@ export default async function handler(
     const normalizedWallet =
       wallet.toLowerCase();
 
-    const recoveredAddress =
-      verifyMessage(
-        message,
-        signature
+    if (!process.env.DATABASE_URL) {
+      return res.status(500).json({
+        error:
+          "DATABASE_URL environment variable is missing.",
+      });
+    }
+
+    const sql =
+      neon(process.env.DATABASE_URL);
+
+    /*
+      Only server-issued Sign-In-With-Ethereum messages are accepted.
+      Their nonce is consumed here, so a captured signature cannot be
+      replayed.
+    */
+    const siwe =
+      await verifySiweSignature(
+        sql,
+        {
+          message,
+          signature,
+          wallet:
+            normalizedWallet,
+          allowedOrigins:
+            ALLOWED_ORIGINS,
+        }
       );
 
-    if (
-      recoveredAddress.toLowerCase() !==
-      normalizedWallet
-    ) {
-      return res.status(403).json({
-        error:
-          "Signature does not match wallet.",
+    if (!siwe.ok) {
+      return res.status(siwe.status).json({
+        error: siwe.error,
       });
     }
 
-    const balance =
-      await cubeBalanceOf(
-        normalizedWallet
+    const {
+      balance,
+      owner: cubeOwner,
+    } =
+      await readCubeHolding(
+        normalizedWallet,
+        cubeNumber
       );
 
     if (balance !== 1n) {
@@ -297,9 +195,6 @@ export default async function handler(
       });
     }
 
-    const cubeOwner =
-      await ownerOf(cubeNumber);
-
     if (
       cubeOwner !==
       normalizedWallet
@@ -1,7 +1,11 @@
 import crypto from "crypto";
-
-const CUBE_ADDRESS =
-  "0x30e1076bDf2B123B54486C2721125388af2d2061".toLowerCase();
+import { neon } from "@neondatabase/serverless";
+import { readCubeHolding } from "../../../lib/server/flareRead";
+import {
+  grantGuardianRole,
+  recordGuardianLink,
+  syncGuardianTraitRoles,
+} from "../../../lib/server/guardianLinks";
 
 const STATE_MAX_AGE_MS =
   10 * 60 * 1000;
@@ -126,163 +130,6 @@ function verifyGuardianState(
   }
 }
 
-function padAddress(address) {
-  return address
-    .toLowerCase()
-    .replace("0x", "")
-    .padStart(64, "0");
-}
-
-function padUint(value) {
-  return BigInt(value)
-    .toString(16)
-    .padStart(64, "0");
-}
-
-function decodeAddress(hex) {
-  if (!hex || hex === "0x") {
-    return "";
-  }
-
-  return (
-    "0x" +
-    hex.slice(-40).toLowerCase()
-  );
-}
-
-async function rpcCall(
-  to,
-  data
-) {
-  const rpcUrl =
-    process.env.FLARE_RPC ||
-    process.env.FLR_RPC;
-
-  if (!rpcUrl) {
-    throw new Error(
-      "Missing FLARE_RPC environment variable."
-    );
-  }
-
-  const response =
-    await fetch(
-      rpcUrl,
-      {
-        method: "POST",
-
-        headers: {
-          "Content-Type":
-            "application/json",
-        },
-
-        body: JSON.stringify({
-          jsonrpc: "2.0",
-          id: 1,
-          method: "eth_call",
-          params: [
-            { to, data },
-            "latest",
-          ],
-        }),
-      }
-    );
-
-  const json =
-    await response.json();
-
-  if (
-    !response.ok ||
-    json.error ||
-    !json.result
-  ) {
-    throw new Error(
-      json?.error?.message ||
-      "Flare RPC request failed."
-    );
-  }
-
-  return json.result;
-}
-
-async function cubeBalanceOf(
-  wallet
-) {
-  const data =
-    "0x70a08231" +
-    padAddress(wallet);
-
-  const result =
-    await rpcCall(
-      CUBE_ADDRESS,
-      data
-    );
-
-  return BigInt(result);
-}
-
-async function ownerOf(
-  cubeId
-) {
-  const data =
-    "0x6352211e" +
-    padUint(cubeId);
-
-  const result =
-    await rpcCall(
-      CUBE_ADDRESS,
-      data
-    );
-
-  return decodeAddress(result);
-}
-
-async function assignGuardianRole(
-  discordUserId
-) {
-  const botToken =
-    process.env.DISCORD_BOT_TOKEN;
-
-  const guildId =
-    process.env.DISCORD_GUILD_ID;
-
-  const guardianRoleId =
-    process.env.DISCORD_GUARDIAN_ROLE_ID;
-
-  if (
-    !botToken ||
-    !guildId ||
-    !guardianRoleId
-  ) {
-    throw new Error(
-      "Discord role environment variables are missing."
-    );
-  }
-
-  const response =
-    await fetch(
-      `https://discord.com/api/v10/guilds/${guildId}/members/${discordUserId}/roles/${guardianRoleId}`,
-      {
-        method: "PUT",
-
-        headers: {
-          Authorization:
-            `Bot ${botToken}`,
-        },
-      }
-    );
-
-  if (response.status === 204) {
-    return;
-  }
-
-  const errorText =
-    await response.text();
-
-  throw new Error(
-    `Discord role assignment failed (${response.status}): ${errorText}`
-  );
-}
-
 export default async function handler(
   req,
   res
@@ -341,6 +188,13 @@ export default async function handler(
     });
   }
 
+  if (!process.env.DATABASE_URL) {
+    return res.status(500).json({
+      error:
+        "DATABASE_URL environment variable is missing.",
+    });
+  }
+
   const guardianState =
     verifyGuardianState(
       String(state),
@@ -359,11 +213,17 @@ export default async function handler(
       Re-check Guardian coherence at callback time.
 
       This ensures the wallet still holds exactly one cube
-      before the Discord role is assigned.
+      before the Discord role is assigned, so the cached
+      reads from begin-guardian are bypassed.
     */
-    const balance =
-      await cubeBalanceOf(
-        guardianState.wallet
+    const {
+      balance,
+      owner: cubeOwner,
+    } =
+      await readCubeHolding(
+        guardianState.wallet,
+        guardianState.cubeId,
+        { cacheTtlMs: 0 }
       );
 
     if (balance !== 1n) {
@@ -373,11 +233,6 @@ export default async function handler(
       });
     }
 
-    const cubeOwner =
-      await ownerOf(
-        guardianState.cubeId
-      );
-
     if (
       cubeOwner !==
       guardianState.wallet
@@ -466,10 +321,60 @@ export default async function handler(
       });
     }
 
-    await assignGuardianRole(
-      String(discordUser.id)
+    const sql =
+      neon(process.env.DATABASE_URL);
+
+    /*
+      Record the link before the role is granted, so the
+      revocation sweep always knows about every Guardian
+      role this endpoint hands out.
+    */
+    await recordGuardianLink(
+      sql,
+      {
+        wallet:
+          guardianState.wallet,
+
+        discordUserId:
+          String(discordUser.id),
+
+        cubeId:
+          guardianState.cubeId,
+
+        source: "oauth-callback",
+      }
+    );
+
+    await grantGuardianRole(
+      sql,
+      {
+        wallet:
+          guardianState.wallet,
+
+        discordUserId:
+          String(discordUser.id),
+
+        cubeId:
+          guardianState.cubeId,
+
+        source: "oauth-callback",
+      }
     );
 
+    // The role is granted; trait roles are best-effort and are
+    // re-synced by the next verification or cube change.
+    try {
+      await syncGuardianTraitRoles(
+        sql,
+        String(discordUser.id)
+      );
+    } catch (error) {
+      console.warn(
+        "Guardian trait role sync failed:",
+        error
+      );
+    }
+
     const params =
       new URLSearchParams({
         discord: "verified",
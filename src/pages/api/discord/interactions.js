@@ -0,0 +1,303 @@
+import crypto from "crypto";
+import { formatUnits } from "ethers";
+import { cubeBalanceOf } from "../../../lib/server/flareRead";
+import { readControllerViews } from "../../../lib/server/controllerRead";
+import { getProtocolEra } from "../../../components/qori/qoriState";
+
+/**
+ * Discord interactions endpoint.
+ *
+ * Discord signs every request with the application's Ed25519 key; requests
+ * that fail verification are rejected with 401, as Discord requires.
+ */
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const INTERACTION_PING = 1;
+const INTERACTION_APPLICATION_COMMAND = 2;
+
+const RESPONSE_PONG = 1;
+const RESPONSE_CHANNEL_MESSAGE = 4;
+
+const EPHEMERAL_FLAG = 1 << 6;
+
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+
+let cachedPublicKey = null;
+
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function getPublicKey() {
+  const hex = process.env.DISCORD_PUBLIC_KEY;
+
+  if (!hex || !/^[a-fA-F0-9]{64}$/.test(hex)) {
+    return null;
+  }
+
+  if (!cachedPublicKey || cachedPublicKey.hex !== hex) {
+    cachedPublicKey = {
+      hex,
+      key: crypto.createPublicKey({
+        key: {
+          kty: "OKP",
+          crv: "Ed25519",
+          x: Buffer.from(hex, "hex").toString("base64url"),
+        },
+        format: "jwk",
+      }),
+    };
+  }
+
+  return cachedPublicKey.key;
+}
+
+function verifyDiscordRequest(rawBody, signature, timestamp, publicKey) {
+  if (
+    typeof signature !== "string" ||
+    typeof timestamp !== "string" ||
+    !/^[a-fA-F0-9]{128}$/.test(signature) ||
+    !/^[0-9]+$/.test(timestamp)
+  ) {
+    return false;
+  }
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (skew > MAX_TIMESTAMP_SKEW_SECONDS) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(
+      null,
+      Buffer.concat([Buffer.from(timestamp, "utf8"), rawBody]),
+      publicKey,
+      Buffer.from(signature, "hex")
+    );
+  } catch {
+    return false;
+  }
+}
+
+function formatCountdown(seconds) {
+  const s = Math.max(0, Number(seconds || 0));
+  const days = Math.floor(s / 86400);
+  const hours = Math.floor((s % 86400) / 3600);
+  const minutes = Math.floor((s % 3600) / 60);
+  const secs = Math.floor(s % 60);
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+}
+
+function formatEon(wei) {
+  return Number(formatUnits(wei, 18)).toLocaleString("en-US", {
+    maximumFractionDigits: 2,
+  });
+}
+
+function formatHeight(height) {
+  return height === null ? "UNKNOWN" : Number(height).toLocaleString("en-US");
+}
+
+function formatNextTick(seconds) {
+  if (seconds === null) return "UNKNOWN";
+  return seconds === 0n ? "TICK ALLOWED" : formatCountdown(Number(seconds));
+}
+
+function formatBurnPool(remaining) {
+  return remaining === null ? "UNKNOWN" : `${formatEon(remaining)} EON Remaining`;
+}
+
+function getNextHalving(lastHalvingTime, halvingInterval) {
+  if (lastHalvingTime === null || halvingInterval === null) return null;
+
+  const next = Number(lastHalvingTime) + Number(halvingInterval);
+  return next > 0 ? next : null;
+}
+
+function message(content, { ephemeral = false } = {}) {
+  return {
+    type: RESPONSE_CHANNEL_MESSAGE,
+    data: {
+      content,
+      flags: ephemeral ? EPHEMERAL_FLAG : 0,
+      allowed_mentions: { parse: [] },
+    },
+  };
+}
+
+async function heightCommand() {
+  const state = await readControllerViews([
+    "energonHeight",
+    "secondsUntilNextEnergonBlock",
+  ]);
+
+  return message(`**ENERGON HEIGHT**
+${formatHeight(state.energonHeight)}
+
+Next advancement: ${formatNextTick(state.secondsUntilNextEnergonBlock)}`);
+}
+
+async function guardianCommand(options = []) {
+  const wallet = options.find((option) => option.name === "wallet")?.value;
+
+  if (typeof wallet !== "string" || !/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+    return message("Invalid wallet. Use a 0x… Flare address.", {
+      ephemeral: true,
+    });
+  }
+
+  const balance = await cubeBalanceOf(wallet);
+
+  let state = "NO KEY";
+  if (balance === 1n) state = "COHERENT";
+  if (balance > 1n) state = "FRACTURED";
+
+  const note =
+    state === "COHERENT"
+      ? "One wallet. One cube. One Guardian."
+      : "Guardian coherence requires exactly one EnergonCube.";
+
+  return message(`**GUARDIAN STATE**
+Wallet: \`${wallet.toLowerCase()}\`
+Cube Balance: ${balance.toString()}
+State: ${state}
+
+${note}`);
+}
+
+async function halvingCommand() {
+  const state = await readControllerViews([
+    "lastHalvingTime",
+    "halvingInterval",
+    "currentRewardPerBlock",
+  ]);
+
+  const next = getNextHalving(state.lastHalvingTime, state.halvingInterval);
+
+  const nextLine = next
+    ? `<t:${next}:F> (in ${formatCountdown(next - Math.floor(Date.now() / 1000))})`
+    : "UNKNOWN";
+
+  const rewardLine =
+    state.currentRewardPerBlock === null
+      ? "UNKNOWN"
+      : `${formatEon(state.currentRewardPerBlock)} EON per block`;
+
+  return message(`**HALVING**
+Next halving: ${nextLine}
+Current reward: ${rewardLine}`);
+}
+
+async function readingCommand() {
+  const state = await readControllerViews([
+    "energonHeight",
+    "secondsUntilNextEnergonBlock",
+    "burnPoolRemaining",
+    "lastHalvingTime",
+    "halvingInterval",
+  ]);
+
+  const next = getNextHalving(state.lastHalvingTime, state.halvingInterval);
+
+  return message(`**PROTOCOL READING**
+
+Energon Height:
+${formatHeight(state.energonHeight)}
+
+Next Advancement:
+${formatNextTick(state.secondsUntilNextEnergonBlock)}
+
+Burn State:
+${formatBurnPool(state.burnPoolRemaining)}
+
+Next Halving:
+${next ? `<t:${next}:D>` : "UNKNOWN"}
+
+Era:
+${getProtocolEra()}
+
+Q.O.R.I observes.
+Q.O.R.I does not intervene.`);
+}
+
+const COMMANDS = {
+  height: heightCommand,
+  guardian: guardianCommand,
+  halving: halvingCommand,
+  reading: readingCommand,
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const publicKey = getPublicKey();
+
+  if (!publicKey) {
+    console.error("Discord interactions: DISCORD_PUBLIC_KEY is missing or invalid.");
+    return res.status(500).json({ error: "Discord public key is not configured." });
+  }
+
+  const rawBody = await readRawBody(req);
+
+  const isValid = verifyDiscordRequest(
+    rawBody,
+    req.headers["x-signature-ed25519"],
+    req.headers["x-signature-timestamp"],
+    publicKey
+  );
+
+  if (!isValid) {
+    return res.status(401).json({ error: "Invalid request signature" });
+  }
+
+  let interaction;
+
+  try {
+    interaction = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  if (interaction.type === INTERACTION_PING) {
+    return res.status(200).json({ type: RESPONSE_PONG });
+  }
+
+  if (interaction.type !== INTERACTION_APPLICATION_COMMAND) {
+    return res.status(400).json({ error: "Unsupported interaction type" });
+  }
+
+  const command = COMMANDS[interaction.data?.name];
+
+  if (!command) {
+    return res.status(200).json(
+      message("Unknown command.", { ephemeral: true })
+    );
+  }
+
+  try {
+    return res.status(200).json(await command(interaction.data.options));
+  } catch (err) {
+    console.error(`Discord /${interaction.data.name} error:`, err);
+    return res.status(200).json(
+      message("The Grid could not be read right now. Try again shortly.", {
+        ephemeral: true,
+      })
+    );
+  }
+}
@@ -0,0 +1,32 @@
+import { registerDiscordCommands } from "../../../lib/server/discordCommands";
+
+/**
+ * Registers the Energon slash commands with the Discord guild.
+ *
+ * Run once after deploying a change to DISCORD_COMMANDS.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const secret = req.headers["x-cron-secret"];
+  if (!secret || secret !== process.env.CRON_SECRET) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const commands = await registerDiscordCommands();
+
+    return res.status(200).json({
+      ok: true,
+      commands,
+    });
+  } catch (err) {
+    console.error("Discord command registration error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: err?.message || "Unknown error",
+    });
+  }
+}
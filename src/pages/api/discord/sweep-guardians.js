@@ -0,0 +1,42 @@
+import { neon } from "@neondatabase/serverless";
+import { sweepGuardianLinks } from "../../../lib/server/guardianLinks";
+
+/**
+ * Guardian role revocation sweep.
+ *
+ * Re-checks every linked wallet on-chain and removes the Discord Guardian
+ * role from wallets that no longer hold exactly one EnergonCube.
+ */
+const SWEEP_BATCH_LIMIT = 200;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const secret = req.headers["x-cron-secret"];
+  if (!secret || secret !== process.env.CRON_SECRET) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL");
+
+    const sql = neon(process.env.DATABASE_URL);
+
+    const summary = await sweepGuardianLinks(sql, {
+      limit: SWEEP_BATCH_LIMIT,
+    });
+
+    return res.status(200).json({
+      ok: true,
+      ...summary,
+    });
+  } catch (err) {
+    console.error("Guardian sweep error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: err?.message || "Unknown error",
+    });
+  }
+}
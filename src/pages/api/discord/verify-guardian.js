@@ -1,8 +1,13 @@
 import crypto from "crypto";
-import { verifyMessage } from "ethers";
-
-const CUBE_ADDRESS =
-  "0x30e1076bDf2B123B54486C2721125388af2d2061".toLowerCase();
+import { neon } from "@neondatabase/serverless";
+import { cubeBalanceOf } from "../../../lib/server/flareRead";
+import { verifySiweSignature } from "../../../lib/server/siwe";
+import { readIndexedHeldCube } from "../../../lib/server/eventHistory";
+import {
+  grantGuardianRole,
+  recordGuardianLink,
+  syncGuardianTraitRoles,
+} from "../../../lib/server/guardianLinks";
 
 const DISCORD_PROOF_MAX_AGE_MS =
   10 * 60 * 1000;
@@ -41,13 +46,6 @@ function setCors(req, res) {
   );
 }
 
-function padAddress(address) {
-  return address
-    .toLowerCase()
-    .replace("0x", "")
-    .padStart(64, "0");
-}
-
 function parseCookies(cookieHeader = "") {
   return Object.fromEntries(
     cookieHeader
@@ -213,118 +211,6 @@ function getDiscordUserIdFromProof(
   return discordUserId;
 }
 
-async function rpcCall(to, data) {
-  const rpcUrl =
-    process.env.FLARE_RPC ||
-    process.env.FLR_RPC;
-
-  if (!rpcUrl) {
-    throw new Error(
-      "Missing FLARE_RPC environment variable."
-    );
-  }
-
-  const response =
-    await fetch(rpcUrl, {
-      method: "POST",
-
-      headers: {
-        "Content-Type":
-          "application/json",
-      },
-
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        id: 1,
-        method: "eth_call",
-        params: [
-          {
-            to,
-            data,
-          },
-          "latest",
-        ],
-      }),
-    });
-
-  const json =
-    await response.json();
-
-  if (
-    !response.ok ||
-    json.error ||
-    !json.result
-  ) {
-    throw new Error(
-      json?.error?.message ||
-      "Flare RPC request failed."
-    );
-  }
-
-  return json.result;
-}
-
-async function cubeBalanceOf(wallet) {
-  const data =
-    "0x70a08231" +
-    padAddress(wallet);
-
-  const result =
-    await rpcCall(
-      CUBE_ADDRESS,
-      data
-    );
-
-  return BigInt(result);
-}
-
-async function assignGuardianRole(
-  discordUserId
-) {
-  const botToken =
-    process.env.DISCORD_BOT_TOKEN;
-
-  const guildId =
-    process.env.DISCORD_GUILD_ID;
-
-  const guardianRoleId =
-    process.env.DISCORD_GUARDIAN_ROLE_ID;
-
-  if (
-    !botToken ||
-    !guildId ||
-    !guardianRoleId
-  ) {
-    throw new Error(
-      "Discord role environment variables are missing."
-    );
-  }
-
-  const response =
-    await fetch(
-      `https://discord.com/api/v10/guilds/${guildId}/members/${discordUserId}/roles/${guardianRoleId}`,
-      {
-        method: "PUT",
-
-        headers: {
-          Authorization:
-            `Bot ${botToken}`,
-        },
-      }
-    );
-
-  if (response.status === 204) {
-    return;
-  }
-
-  const errorText =
-    await response.text();
-
-  throw new Error(
-    `Discord role assignment failed (${response.status}): ${errorText}`
-  );
-}
-
 export default async function handler(
   req,
   res
@@ -367,6 +253,14 @@ export default async function handler(
       });
     }
 
+    if (!process.env.DATABASE_URL) {
+      return res.status(500).json({
+        verified: false,
+        error:
+          "DATABASE_URL environment variable is missing.",
+      });
+    }
+
     const {
       wallet,
       message,
@@ -409,45 +303,34 @@ export default async function handler(
       });
     }
 
-    if (
-      !message ||
-      typeof message !== "string"
-    ) {
-      return res.status(400).json({
-        error:
-          "Missing verification message.",
-      });
-    }
-
-    if (
-      !signature ||
-      typeof signature !== "string"
-    ) {
-      return res.status(400).json({
-        error:
-          "Missing wallet signature.",
-      });
-    }
-
     const normalizedWallet =
       wallet.toLowerCase();
 
-    const recoveredAddress =
-      verifyMessage(
-        message,
-        signature
+    const sql =
+      neon(process.env.DATABASE_URL);
+
+    // The message must be a SIWE challenge from /api/auth/nonce: its
+    // nonce is consumed here, so a signature only works once.
+    const signed =
+      await verifySiweSignature(
+        sql,
+        {
+          message,
+          signature,
+          wallet:
+            normalizedWallet,
+          allowedOrigins:
+            ALLOWED_ORIGINS,
+        }
       );
 
-    if (
-      recoveredAddress.toLowerCase() !==
-      normalizedWallet
-    ) {
-      return res.status(403).json({
+    if (!signed.ok) {
+      return res.status(signed.status).json({
         verified: false,
         walletVerified: false,
         coherent: false,
         error:
-          "Signature does not match wallet.",
+          signed.error,
       });
     }
 
@@ -468,10 +351,65 @@ export default async function handler(
       });
     }
 
-    await assignGuardianRole(
-      discordUserId
+    // Coherence is proven, so the base role goes first. The cube id and
+    // trait roles are best-effort: the guardian sweep fills in a missing
+    // cube id and re-syncs trait roles when it does.
+    await grantGuardianRole(
+      sql,
+      {
+        wallet:
+          normalizedWallet,
+
+        discordUserId,
+
+        source: "verify-guardian",
+      }
+    );
+
+    let cubeId = null;
+
+    try {
+      cubeId =
+        await readIndexedHeldCube(
+          sql,
+          normalizedWallet
+        );
+    } catch (error) {
+      console.warn(
+        "Guardian cube id lookup failed:",
+        error
+      );
+    }
+
+    await recordGuardianLink(
+      sql,
+      {
+        wallet:
+          normalizedWallet,
+
+        discordUserId,
+
+        cubeId:
+          cubeId === null
+            ? null
+            : cubeId.toString(),
+
+        source: "verify-guardian",
+      }
     );
 
+    try {
+      await syncGuardianTraitRoles(
+        sql,
+        discordUserId
+      );
+    } catch (error) {
+      console.warn(
+        "Guardian trait role sync failed:",
+        error
+      );
+    }
+
     return res.status(200).json({
       verified: true,
       walletVerified: true,
@@ -1,4 +1,15 @@
-import { verifyMessage } from "ethers";
+import { neon } from "@neondatabase/serverless";
+import { verifySiweSignature } from "../../../lib/server/siwe";
+import {
+  createWalletSession,
+  setWalletSessionCookie,
+} from "../../../lib/server/session";
+
+const ALLOWED_ORIGINS = [
+  "https://guardian.energon.app",
+  "http://localhost:3000",
+  "http://localhost:8080",
+];
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
@@ -23,41 +34,52 @@ export default async function handler(req, res) {
       });
     }
 
-    if (
-      !message ||
-      typeof message !== "string"
-    ) {
-      return res.status(400).json({
-        error: "Missing verification message.",
-      });
-    }
+    const sessionSecret =
+      process.env.AUTH_SESSION_SECRET;
 
     if (
-      !signature ||
-      typeof signature !== "string"
+      !process.env.DATABASE_URL ||
+      !sessionSecret
     ) {
-      return res.status(400).json({
-        error: "Missing wallet signature.",
+      return res.status(500).json({
+        verified: false,
+        error:
+          "Auth environment variables are missing.",
       });
     }
 
-    const recoveredAddress =
-      verifyMessage(message, signature);
+    const sql =
+      neon(process.env.DATABASE_URL);
 
-    if (
-      recoveredAddress.toLowerCase() !==
-      wallet.toLowerCase()
-    ) {
-      return res.status(403).json({
+    const result =
+      await verifySiweSignature(sql, {
+        message,
+        signature,
+        wallet: wallet.toLowerCase(),
+        allowedOrigins: ALLOWED_ORIGINS,
+      });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
         verified: false,
-        error:
-          "Signature does not match wallet.",
+        error: result.error,
       });
     }
 
+    const session =
+      createWalletSession(
+        result.wallet,
+        sessionSecret
+      );
+
+    setWalletSessionCookie(
+      res,
+      session.value
+    );
+
     return res.status(200).json({
       verified: true,
-      wallet: wallet.toLowerCase(),
+      wallet: result.wallet,
       message:
         "Wallet ownership verified.",
     });
@@ -67,10 +89,10 @@ export default async function handler(req, res) {
       error
     );
 
-    return res.status(400).json({
+    return res.status(500).json({
       verified: false,
       error:
-        "Invalid wallet signature.",
+        "Wallet signature could not be verified.",
     });
   }
 }
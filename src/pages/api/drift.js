@@ -0,0 +1,33 @@
+// src/pages/api/drift.js
+
+import { neon } from "@neondatabase/serverless";
+import { readDriftReport } from "../../lib/server/driftReport";
+
+/*
+  Energon clock drift report: actual vs target block time, recorded
+  missed-tick gaps and the halving dates projected from the drift.
+*/
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!process.env.DATABASE_URL) {
+    return res.status(500).json({ error: "Missing DATABASE_URL" });
+  }
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+    const report = await readDriftReport(sql);
+
+    res.setHeader(
+      "Cache-Control",
+      "public, s-maxage=60, stale-while-revalidate=120"
+    );
+
+    return res.status(200).json(report);
+  } catch (err) {
+    console.error("Drift report error:", err);
+    return res.status(500).json({ error: "Failed to build drift report" });
+  }
+}
@@ -0,0 +1,69 @@
+// src/pages/api/energon-blocks/[height].js
+
+import { neon } from "@neondatabase/serverless";
+import { formatUnits } from "ethers";
+import { EXPLORER_TX } from "../../../lib/contract";
+import { readEnergonBlock } from "../../../lib/server/eventHistory";
+
+/*
+  GET /api/energon-blocks/<height|latest>
+
+  Seed, step count and reward recipients of one indexed Energon block,
+  with each recipient's coherence when the reward was paid.
+*/
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const raw = String(req.query.height || "");
+  const height = raw === "latest" ? null : Number(raw);
+
+  if (height !== null && (!Number.isInteger(height) || height < 0)) {
+    return res.status(400).json({ error: "Invalid Energon height" });
+  }
+
+  if (!process.env.DATABASE_URL) {
+    return res.status(500).json({ error: "Missing DATABASE_URL" });
+  }
+
+  let result;
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+    result = await readEnergonBlock(sql, height);
+  } catch (err) {
+    console.error("Energon block error:", err);
+    return res.status(500).json({ error: "Failed to read Energon block" });
+  }
+
+  if (!result.block) {
+    return res.status(404).json({
+      ...result,
+      error:
+        height === null
+          ? "No Energon blocks indexed yet"
+          : `Energon block ${height} is not indexed`,
+    });
+  }
+
+  // A specific height only changes if a reorg replaces it; latest moves.
+  res.setHeader(
+    "Cache-Control",
+    height === null
+      ? "public, s-maxage=30, stale-while-revalidate=60"
+      : "public, s-maxage=300, stale-while-revalidate=600"
+  );
+
+  return res.status(200).json({
+    ...result,
+    block: {
+      ...result.block,
+      explorerUrl: EXPLORER_TX(result.block.txHash),
+    },
+    rewards: result.rewards.map((reward) => ({
+      ...reward,
+      amountEon: formatUnits(reward.amountWei, 18),
+    })),
+  });
+}
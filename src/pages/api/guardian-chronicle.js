@@ -1,7 +1,7 @@
 import { neon } from "@neondatabase/serverless";
-
-const CUBE_ADDRESS =
-  "0x30e1076bDf2B123B54486C2721125388af2d2061".toLowerCase();
+import { verifyMessage } from "ethers";
+import { readCubeHolding } from "../../lib/server/flareRead";
+import { consumeNonce } from "../../lib/server/nonces";
 
 const ALLOWED_ORIGINS = [
   "https://energon-site.vercel.app",
@@ -22,70 +22,6 @@ function setCors(req, res) {
   res.setHeader("Access-Control-Allow-Headers", "Content-Type");
 }
 
-function padAddress(address) {
-  return address.toLowerCase().replace("0x", "").padStart(64, "0");
-}
-
-function padUint(value) {
-  return BigInt(value).toString(16).padStart(64, "0");
-}
-
-function decodeAddress(hex) {
-  if (!hex || hex === "0x") return "";
-  return "0x" + hex.slice(-40).toLowerCase();
-}
-
-async function rpcCall(to, data) {
-  const rpcUrl = process.env.FLARE_RPC || process.env.FLR_RPC;
-
-  if (!rpcUrl) {
-    throw new Error("Missing FLARE_RPC environment variable.");
-  }
-
-  const rpcResponse = await fetch(rpcUrl, {
-    method: "POST",
-    headers: {
-      "content-type": "application/json",
-    },
-    body: JSON.stringify({
-      jsonrpc: "2.0",
-      id: 1,
-      method: "eth_call",
-      params: [{ to, data }, "latest"],
-    }),
-  });
-
-  const json = await rpcResponse.json();
-
-  if (!rpcResponse.ok) {
-    throw new Error(`RPC request failed: ${rpcResponse.status}`);
-  }
-
-  if (json.error) {
-    throw new Error(json.error.message || "RPC error");
-  }
-
-  if (!json.result) {
-    throw new Error("RPC returned no result.");
-  }
-
-  return json.result;
-}
-
-async function cubeBalanceOf(wallet) {
-  const data = "0x70a08231" + padAddress(wallet);
-  const result = await rpcCall(CUBE_ADDRESS, data);
-
-  return BigInt(result);
-}
-
-async function ownerOf(cubeId) {
-  const data = "0x6352211e" + padUint(cubeId);
-  const result = await rpcCall(CUBE_ADDRESS, data);
-
-  return decodeAddress(result);
-}
-
 export default async function handler(req, res) {
   setCors(req, res);
 
@@ -109,6 +45,9 @@ export default async function handler(req, res) {
     const {
       wallet,
       cubeId,
+      nonce,
+      message,
+      signature,
       guardianName,
       recordText,
       publicPermission,
@@ -121,6 +60,18 @@ export default async function handler(req, res) {
       });
     }
 
+    if (!message || typeof message !== "string") {
+      return res.status(400).json({
+        error: "Missing Guardian record challenge.",
+      });
+    }
+
+    if (!signature || typeof signature !== "string") {
+      return res.status(400).json({
+        error: "Missing wallet signature.",
+      });
+    }
+
     const cleanCubeId = String(cubeId || "").trim();
 
     if (!/^[0-9]+$/.test(cleanCubeId)) {
@@ -159,7 +110,52 @@ export default async function handler(req, res) {
     }
 
     const normalizedWallet = wallet.toLowerCase();
-    const balance = await cubeBalanceOf(normalizedWallet);
+
+    let recoveredAddress = "";
+
+    try {
+      recoveredAddress = verifyMessage(message, signature);
+    } catch {
+      return res.status(400).json({
+        error: "Invalid wallet signature.",
+      });
+    }
+
+    if (recoveredAddress.toLowerCase() !== normalizedWallet) {
+      return res.status(403).json({
+        error: "Signature does not match wallet.",
+      });
+    }
+
+    const sql = neon(process.env.DATABASE_URL);
+
+    /*
+      The challenge is consumed before the on-chain checks so a signed
+      submission can never be replayed, even if it is later rejected.
+    */
+    const challenge = await consumeNonce(sql, {
+      nonce: String(nonce || ""),
+      purpose: "chronicle",
+      wallet: normalizedWallet,
+      message,
+    });
+
+    if (!challenge) {
+      return res.status(401).json({
+        error: "Guardian record challenge is invalid, expired or already used.",
+      });
+    }
+
+    if (challenge.subject !== cubeNumber.toString()) {
+      return res.status(403).json({
+        error: "Challenge was issued for a different EnergonCube.",
+      });
+    }
+
+    const { balance, owner: cubeOwner } = await readCubeHolding(
+      normalizedWallet,
+      cubeNumber
+    );
 
     if (balance !== 1n) {
       return res.status(403).json({
@@ -168,15 +164,12 @@ export default async function handler(req, res) {
       });
     }
 
-    const cubeOwner = await ownerOf(cubeNumber);
-
     if (cubeOwner.toLowerCase() !== normalizedWallet) {
       return res.status(403).json({
         error: "Entered EnergonCube is not held by this wallet.",
       });
     }
 
-    const sql = neon(process.env.DATABASE_URL);
     console.log("DATABASE_URL exists:", Boolean(process.env.DATABASE_URL));
 
     try {
@@ -0,0 +1,123 @@
+import { neon } from "@neondatabase/serverless";
+import {
+  NONCE_TTL_MS,
+  createNonce,
+  storeNonce,
+} from "../../../lib/server/nonces";
+
+const ALLOWED_ORIGINS = [
+  "https://energon-site.vercel.app",
+  "https://energon-dapp.vercel.app",
+  "http://localhost:3000",
+  "http://localhost:8080",
+];
+
+function setCors(req, res) {
+  const origin = req.headers.origin;
+
+  if (ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+}
+
+function buildChronicleMessage({ wallet, cubeId, nonce, issuedAt, expiresAt }) {
+  return [
+    "Energon Guardian Chronicle",
+    "",
+    "Sign to submit a Guardian Record for this EnergonCube.",
+    "This request does not send a transaction or cost gas.",
+    "",
+    `Wallet: ${wallet}`,
+    `EnergonCube: #${cubeId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expires At: ${expiresAt.toISOString()}`,
+  ].join("\n");
+}
+
+export default async function handler(req, res) {
+  setCors(req, res);
+
+  if (req.method === "OPTIONS") {
+    return res.status(204).end();
+  }
+
+  try {
+    if (req.method !== "POST") {
+      return res.status(405).json({
+        error: "Method not allowed.",
+      });
+    }
+
+    if (!process.env.DATABASE_URL) {
+      return res.status(500).json({
+        error: "DATABASE_URL environment variable is missing.",
+      });
+    }
+
+    const { wallet, cubeId } = req.body || {};
+
+    if (!wallet || !/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+      return res.status(400).json({
+        error: "Invalid wallet.",
+      });
+    }
+
+    const cleanCubeId = String(cubeId || "").trim();
+
+    if (!/^[0-9]+$/.test(cleanCubeId)) {
+      return res.status(400).json({
+        error: "EnergonCube number required.",
+      });
+    }
+
+    const cubeNumber = BigInt(cleanCubeId);
+
+    if (cubeNumber < 1n || cubeNumber > 1000000n) {
+      return res.status(400).json({
+        error: "Invalid EnergonCube number.",
+      });
+    }
+
+    const normalizedWallet = wallet.toLowerCase();
+    const nonce = createNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+
+    const message = buildChronicleMessage({
+      wallet: normalizedWallet,
+      cubeId: cubeNumber.toString(),
+      nonce,
+      issuedAt,
+      expiresAt,
+    });
+
+    const sql = neon(process.env.DATABASE_URL);
+
+    await storeNonce(sql, {
+      nonce,
+      purpose: "chronicle",
+      wallet: normalizedWallet,
+      subject: cubeNumber.toString(),
+      message,
+      expiresAt,
+    });
+
+    return res.status(200).json({
+      ok: true,
+      nonce,
+      message,
+      expiresAt: expiresAt.toISOString(),
+    });
+  } catch (err) {
+    console.error("guardian-chronicle nonce error:", err);
+
+    return res.status(500).json({
+      error: "Guardian record challenge could not be created.",
+    });
+  }
+}
@@ -0,0 +1,48 @@
+// src/pages/api/image/[id].js
+
+import { renderCubeSvg } from "../../../lib/cubeArt";
+import { MAX_SUPPLY } from "../../../lib/cubeMetadata";
+import {
+  readMintState,
+  sendMintStateUnavailable,
+} from "../../../lib/server/mintState";
+
+/*
+  Serves /api/image/<id>.svg. The ".svg" suffix is part of the dynamic
+  segment, so it is stripped here; a bare id works too.
+
+  The art encodes the cube's traits, so unminted ids get a 404 like the
+  metadata route's METADATA_UNMINTED=404 mode.
+*/
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  if (!id || Array.isArray(id)) {
+    return res.status(400).json({ error: "Invalid token id" });
+  }
+
+  const tokenId = Number(String(id).replace(/\.svg$/i, ""));
+
+  if (!Number.isInteger(tokenId) || tokenId < 1 || tokenId > MAX_SUPPLY) {
+    return res.status(404).json({ error: "Token not found" });
+  }
+
+  const { state } = await readMintState(tokenId);
+
+  if (state === "unknown") {
+    return sendMintStateUnavailable(res);
+  }
+
+  if (state === "unminted") {
+    res.setHeader("Cache-Control", "public, s-maxage=60");
+    return res.status(404).json({ error: "Token not minted" });
+  }
+
+  res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+  res.setHeader(
+    "Cache-Control",
+    "public, max-age=86400, s-maxage=604800, immutable"
+  );
+
+  return res.status(200).send(renderCubeSvg(tokenId));
+}
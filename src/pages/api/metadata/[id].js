@@ -1,74 +1,78 @@
 // src/pages/api/metadata/[id].js
 
-const MAX_SUPPLY = 1_000_000;
-
-const IMAGE_CID =
-  "bafybeifigkjd7zwtthgkjnb7pvzdkoufbskr7kevswontsjcaeqbo542vu";
-
-const IMAGE_URL = `https://red-secret-dragonfly-529.mypinata.cloud/ipfs/${IMAGE_CID}`;
-
-function mulberry32(a) {
-  return function () {
-    let t = (a += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+import { neon } from "@neondatabase/serverless";
+import { GENESIS_CUBE_ID, buildAttributes } from "../../../lib/cubeAttributes";
+import {
+  COLLECTION_NAME,
+  CUBE_DESCRIPTION,
+  IMAGE_URL,
+  MAX_SUPPLY,
+  cubeEmbedUrl,
+  cubeImageUrl,
+  getMetadataOrigin,
+} from "../../../lib/cubeMetadata";
+import { getLiveTraits } from "../../../lib/server/liveTraits";
+import {
+  readMintState,
+  sendMintStateUnavailable,
+} from "../../../lib/server/mintState";
+
+/*
+  METADATA_LIVE_TRAITS=1 appends chain-derived traits (holder coherence,
+  and with DATABASE_URL set, mint date and era and holding since from the
+  event index). A lookup gets LIVE_TRAITS_BUDGET_MS before the static
+  metadata is served on its own.
+*/
+const LIVE_TRAITS_BUDGET_MS = 3000;
+
+/*
+  Ids that have not been minted get an "unrevealed" placeholder, or a 404
+  with METADATA_UNMINTED=404, so future traits are not published early.
+  If the minted count cannot be read the route answers 503, so an outage
+  is retried instead of cached as a placeholder.
+*/
+function unrevealedMetadata(tokenId) {
+  return {
+    name: `Energon Cube #${tokenId}`,
+    description:
+      `This cube has not been minted yet. Its traits are revealed once it joins the ${COLLECTION_NAME} grid.`,
+    image: IMAGE_URL,
+    attributes: [{ trait_type: "Status", value: "Unrevealed" }],
   };
 }
 
-const PLASMA_CORES = [
-  "Flare Ember",
-  "Azure Arc",
-  "Solar Pulse",
-  "Crimson Nova",
-  "Ion Drift",
-];
-
-const BACKGROUNDS = ["Black", "Midnight", "Void", "Nebula"];
-
-function getRarity(rand) {
-  const r = rand();
-  if (r < 0.01) return "Mythic";
-  if (r < 0.05) return "Legendary";
-  if (r < 0.20) return "Rare";
-  if (r < 0.50) return "Uncommon";
-  return "Common";
+function liveTraitsEnabled() {
+  return process.env.METADATA_LIVE_TRAITS === "1";
 }
 
-function buildAttributes(id) {
-  const rand = mulberry32(id);
-
-  const plasmaCore = PLASMA_CORES[Math.floor(rand() * PLASMA_CORES.length)];
-  const background = BACKGROUNDS[Math.floor(rand() * BACKGROUNDS.length)];
-  const energyOutput = Math.floor(rand() * 50) + 50;
-  const powerConsumption = Math.floor(rand() * 60) + 30;
-  const turbulence = Math.floor(rand() * 100);
-  const overlaySeed = Math.floor(rand() * 100000);
-  const density = Math.floor(rand() * 4) + 1;
-
-  const layouts = ["Left", "Center", "Right"];
-  const layout = layouts[Math.floor(rand() * layouts.length)];
-  const rarity = getRarity(rand);
-
-  return [
-    { trait_type: "Plasma Core", value: plasmaCore },
-    { trait_type: "Background", value: background },
-    { trait_type: "Energy Output", value: `${energyOutput}%` },
-    { trait_type: "Power Consumption", value: `${powerConsumption}%` },
-    { trait_type: "Plasma Turbulence", value: turbulence },
-    { trait_type: "Overlay Seed", value: overlaySeed },
-    { trait_type: "Overlay Density", value: density },
-    { trait_type: "Overlay Layout", value: layout },
-    { trait_type: "Rarity Tier", value: rarity },
-  ];
+async function readLiveTraits(tokenId) {
+  let timer;
+
+  const budget = new Promise((resolve) => {
+    timer = setTimeout(() => resolve([]), LIVE_TRAITS_BUDGET_MS);
+  });
+
+  try {
+    const sql = process.env.DATABASE_URL
+      ? neon(process.env.DATABASE_URL)
+      : null;
+
+    return await Promise.race([getLiveTraits(sql, tokenId), budget]);
+  } catch (err) {
+    console.warn(`Live traits unavailable for #${tokenId}:`, err?.message || err);
+    return [];
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
-function genesisMetadata() {
+function genesisMetadata(image, animationUrl) {
   return {
     name: "Energon Genesis Cube #1 — The Big Bang",
     description:
       "This Genesis Cube marks the ignition of the Energon Chain. Before this block, Energon time did not exist. With this cube, the Energon Clock was initialized, enabling a permissionless, time-based reward system governed by fairness, scarcity, and decentralization. From this moment forward, Energon blocks advance independently, and rewards are distributed only to wallets holding exactly one Energon Cube.",
-    image: IMAGE_URL,
+    image,
+    animation_url: animationUrl,
     attributes: [
       { trait_type: "Genesis Type", value: "Big Bang" },
       { trait_type: "Energon Height", value: "0" },
@@ -84,12 +88,13 @@ function genesisMetadata() {
   };
 }
 
-function omegaMetadata() {
+function omegaMetadata(image, animationUrl) {
   return {
     name: "Energon Omega Cube #1000000 — The Final State",
     description:
       "This Omega Cube marks the terminal state of the Energon Grid. With the final cube assigned, the system reaches full distribution across one million nodes. No new cubes can exist beyond this point. The Grid is complete. From this moment forward, Energon operates in its fully realized form — a closed, deterministic energy system sustained by its Guardians.",
-    image: IMAGE_URL,
+    image,
+    animation_url: animationUrl,
     attributes: [
       { trait_type: "Omega Type", value: "Final State" },
       { trait_type: "Energon Height", value: "Terminal" },
@@ -104,7 +109,7 @@ function omegaMetadata() {
   };
 }
 
-export default function handler(req, res) {
+export default async function handler(req, res) {
   const { id } = req.query;
 
   if (!id || Array.isArray(id)) {
@@ -117,25 +122,58 @@ export default function handler(req, res) {
     return res.status(404).json({ error: "Token not found" });
   }
 
+  const { state } = await readMintState(tokenId);
+
+  if (state === "unknown") {
+    return sendMintStateUnavailable(res);
+  }
+
+  if (state === "unminted") {
+    if (process.env.METADATA_UNMINTED === "404") {
+      return res.status(404).json({ error: "Token not minted" });
+    }
+
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader(
+      "Cache-Control",
+      "public, s-maxage=60, stale-while-revalidate=120"
+    );
+
+    return res.status(200).json(unrevealedMetadata(tokenId));
+  }
+
+  const live = liveTraitsEnabled();
+  const liveTraits = live ? await readLiveTraits(tokenId) : [];
+
   res.setHeader("Content-Type", "application/json");
   res.setHeader(
     "Cache-Control",
-    "public, s-maxage=300, stale-while-revalidate=600"
+    live
+      ? "public, s-maxage=60, stale-while-revalidate=300"
+      : "public, s-maxage=300, stale-while-revalidate=600"
   );
 
-  if (tokenId === 1) {
-    return res.status(200).json(genesisMetadata());
+  const origin = getMetadataOrigin(req);
+  const image = cubeImageUrl(origin, tokenId);
+  const animationUrl = cubeEmbedUrl(origin, tokenId);
+
+  let metadata;
+
+  if (tokenId === GENESIS_CUBE_ID) {
+    metadata = genesisMetadata(image, animationUrl);
+  } else if (tokenId === MAX_SUPPLY) {
+    metadata = omegaMetadata(image, animationUrl);
+  } else {
+    metadata = {
+      name: `Energon Cube #${tokenId}`,
+      description: CUBE_DESCRIPTION,
+      image,
+      animation_url: animationUrl,
+      attributes: buildAttributes(tokenId),
+    };
   }
 
-  if (tokenId === MAX_SUPPLY) {
-    return res.status(200).json(omegaMetadata());
-  }
+  metadata.attributes.push(...liveTraits);
 
-  return res.status(200).json({
-    name: `Energon Cube #${tokenId}`,
-    description:
-      "Energon Cubes are live Core-reactor nodes — the one million beating hearts of the Energon Grid. Each cube manifests a distinct plasma signature while working in unison to fortify and expand the network's energy field. To hold a Cube is to become a Grid Guardian, entrusted with stabilizing the Plasma flow and shaping the future of decentralized Energon rewards.",
-    image: IMAGE_URL,
-    attributes: buildAttributes(tokenId),
-  });
+  return res.status(200).json(metadata);
 }
@@ -0,0 +1,59 @@
+// src/pages/api/metadata/contract.js
+
+import {
+  COLLECTION_NAME,
+  CUBE_DESCRIPTION,
+  DEFAULT_EXTERNAL_LINK,
+  IMAGE_URL,
+  MAX_SUPPLY,
+} from "../../../lib/cubeMetadata";
+
+/*
+  Collection-level metadata (contractURI).
+
+  Royalty settings come from the environment:
+    COLLECTION_SELLER_FEE_BPS  basis points, 0–10000 (default 0)
+    COLLECTION_FEE_RECIPIENT   0x… address, required for a non-zero fee
+    COLLECTION_EXTERNAL_LINK   overrides the default site link
+*/
+
+function readSellerFee() {
+  const bps = Number(process.env.COLLECTION_SELLER_FEE_BPS || 0);
+
+  if (!Number.isInteger(bps) || bps < 0 || bps > 10_000) {
+    return 0;
+  }
+
+  return bps;
+}
+
+function readFeeRecipient() {
+  const recipient = process.env.COLLECTION_FEE_RECIPIENT || "";
+  return /^0x[a-fA-F0-9]{40}$/.test(recipient) ? recipient : null;
+}
+
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const feeRecipient = readFeeRecipient();
+  const sellerFee = feeRecipient ? readSellerFee() : 0;
+
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader(
+    "Cache-Control",
+    "public, s-maxage=300, stale-while-revalidate=600"
+  );
+
+  return res.status(200).json({
+    name: COLLECTION_NAME,
+    description: `${CUBE_DESCRIPTION} Supply is fixed at ${MAX_SUPPLY.toLocaleString(
+      "en-US"
+    )} cubes.`,
+    image: IMAGE_URL,
+    external_link: process.env.COLLECTION_EXTERNAL_LINK || DEFAULT_EXTERNAL_LINK,
+    seller_fee_basis_points: sellerFee,
+    ...(feeRecipient ? { fee_recipient: feeRecipient } : {}),
+  });
+}
@@ -0,0 +1,44 @@
+// src/pages/api/rarity/[id].js
+
+import { MAX_SUPPLY } from "../../../lib/cubeMetadata";
+import {
+  readMintState,
+  sendMintStateUnavailable,
+} from "../../../lib/server/mintState";
+import { getCubeRarity } from "../../../lib/server/rarity";
+
+/*
+  Rarity reveals a cube's traits, so it is only served for minted ids,
+  like the metadata route.
+*/
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  if (!id || Array.isArray(id)) {
+    return res.status(400).json({ error: "Invalid token id" });
+  }
+
+  const tokenId = Number(id);
+
+  if (!Number.isInteger(tokenId) || tokenId < 1 || tokenId > MAX_SUPPLY) {
+    return res.status(404).json({ error: "Token not found" });
+  }
+
+  const { state } = await readMintState(tokenId);
+
+  if (state === "unknown") {
+    return sendMintStateUnavailable(res);
+  }
+
+  if (state === "unminted") {
+    res.setHeader("Cache-Control", "public, s-maxage=60");
+    return res.status(404).json({ error: "Token not minted" });
+  }
+
+  res.setHeader(
+    "Cache-Control",
+    "public, s-maxage=86400, stale-while-revalidate=604800"
+  );
+
+  return res.status(200).json(getCubeRarity(tokenId));
+}
@@ -0,0 +1,12 @@
+// src/pages/api/rarity/stats.js
+
+import { getRarityStats } from "../../../lib/server/rarity";
+
+export default function handler(req, res) {
+  res.setHeader(
+    "Cache-Control",
+    "public, s-maxage=86400, stale-while-revalidate=604800"
+  );
+
+  return res.status(200).json(getRarityStats());
+}
@@ -0,0 +1,133 @@
+// src/pages/api/rewards/[wallet].js
+
+import { neon } from "@neondatabase/serverless";
+import { formatUnits } from "ethers";
+import { EXPLORER_TX } from "../../../lib/contract";
+import { readRewardHistory } from "../../../lib/server/eventHistory";
+
+/*
+  GET /api/rewards/<wallet>             JSON, newest first (page, limit)
+  GET /api/rewards/<wallet>?format=csv  every indexed payout, for bookkeeping
+
+  Both only cover what the indexer has stored: indexedBlock says how far,
+  and transferHistoryComplete is false while the index does not reach
+  back to deployment. The CSV carries both on every row.
+*/
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const CSV_PAGE_ROWS = 5000;
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "energon_height",
+  "token_id",
+  "amount_eon",
+  "amount_wei",
+  "flare_block",
+  "tx_hash",
+  "explorer_url",
+  "indexed_through_block",
+  "history_complete",
+];
+
+function readPositiveInt(raw, fallback) {
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+function toCsv(rewards, history) {
+  const lines = rewards.map((reward) =>
+    [
+      reward.timestamp,
+      reward.energonHeight ?? "",
+      reward.tokenId,
+      reward.amountEon,
+      reward.amountWei,
+      reward.blockNumber,
+      reward.txHash,
+      reward.explorerUrl,
+      history.indexedBlock ?? "",
+      history.transferHistoryComplete,
+    ].join(",")
+  );
+
+  return [CSV_COLUMNS.join(","), ...lines].join("\n") + "\n";
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { wallet } = req.query;
+
+  if (typeof wallet !== "string" || !/^0x[a-fA-F0-9]{40}$/.test(wallet)) {
+    return res.status(400).json({ error: "Invalid wallet address" });
+  }
+
+  if (!process.env.DATABASE_URL) {
+    return res.status(500).json({ error: "Missing DATABASE_URL" });
+  }
+
+  const csv = req.query.format === "csv";
+  const page = readPositiveInt(req.query.page, 1);
+  const limit = csv
+    ? CSV_PAGE_ROWS
+    : Math.min(readPositiveInt(req.query.limit, DEFAULT_LIMIT), MAX_LIMIT);
+
+  let history;
+
+  try {
+    const sql = neon(process.env.DATABASE_URL);
+    history = await readRewardHistory(sql, wallet, {
+      limit,
+      offset: csv ? 0 : (page - 1) * limit,
+    });
+
+    // The CSV pages through to the last payout at the same indexed block.
+    while (csv && history.rewards.length < history.total) {
+      const next = await readRewardHistory(sql, wallet, {
+        limit,
+        offset: history.rewards.length,
+        maxBlock: history.indexedBlock,
+      });
+
+      if (!next.rewards.length) break;
+      history.rewards.push(...next.rewards);
+    }
+  } catch (err) {
+    console.error("Reward history error:", err);
+    return res.status(500).json({ error: "Failed to read reward history" });
+  }
+
+  const rewards = history.rewards.map((reward) => ({
+    ...reward,
+    amountEon: formatUnits(reward.amountWei, 18),
+    explorerUrl: EXPLORER_TX(reward.txHash),
+  }));
+
+  res.setHeader("Cache-Control", "public, s-maxage=30, stale-while-revalidate=60");
+
+  if (csv) {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="energon-rewards-${history.wallet}.csv"`
+    );
+
+    return res.status(200).send(toCsv(rewards, history));
+  }
+
+  return res.status(200).json({
+    wallet: history.wallet,
+    page,
+    limit,
+    total: history.total,
+    totalAmountWei: history.totalAmountWei,
+    totalAmountEon: formatUnits(history.totalAmountWei, 18),
+    indexedBlock: history.indexedBlock,
+    transferHistoryComplete: history.transferHistoryComplete,
+    rewards,
+  });
+}
@@ -0,0 +1,25 @@
+// src/pages/api/rpc-health.js
+
+import { readRpcHealth } from "../../lib/server/rpcHealth";
+
+/*
+  Latency, chain id, head block and lag for each public Flare endpoint,
+  with rolling stats and a ranking (healthiest first) that the Dashboard
+  and Mint pages use to pick their starting provider.
+*/
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const report = await readRpcHealth();
+
+    res.setHeader("Cache-Control", "public, s-maxage=15, stale-while-revalidate=30");
+
+    return res.status(200).json(report);
+  } catch (err) {
+    console.error("RPC health error:", err);
+    return res.status(500).json({ error: "Failed to probe RPC endpoints" });
+  }
+}
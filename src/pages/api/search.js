@@ -0,0 +1,139 @@
+// src/pages/api/search.js
+
+import { readMintedSupply } from "../../lib/server/flareRead";
+import { sendMintStateUnavailable } from "../../lib/server/mintState";
+import {
+  RANGE_FILTERS,
+  SearchFilterError,
+  VALUE_FILTERS,
+  searchCubes,
+} from "../../lib/server/traitSearch";
+
+/*
+  GET /api/search?plasmaCore=Crimson Nova&background=Nebula&rarityTier=Mythic
+
+  Value filters take a comma-separated list (any of):
+    plasmaCore, background, rarityTier, layout
+  Range filters take inclusive bounds:
+    energyMin/energyMax, powerMin/powerMax,
+    turbulenceMin/turbulenceMax, densityMin/densityMax
+  Paging: page (from 1) and limit (1–1000, default 100).
+  Only minted cubes are searched, so unminted traits are not revealed;
+  the route answers 503 when the minted supply cannot be read.
+*/
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function readList(value) {
+  if (value === undefined) return null;
+
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function readBound(query, name) {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return undefined;
+
+  const n = Number(raw);
+  if (Array.isArray(raw) || !Number.isFinite(n)) {
+    throw new SearchFilterError(`Invalid ${name}`);
+  }
+
+  return n;
+}
+
+function readPositiveInt(raw, fallback, name) {
+  if (raw === undefined || raw === "") return fallback;
+
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new SearchFilterError(`Invalid ${name}`);
+  }
+
+  return n;
+}
+
+function parseFilters(query) {
+  const filters = {};
+
+  for (const key of Object.keys(VALUE_FILTERS)) {
+    const list = readList(query[key]);
+    if (list?.length) filters[key] = list;
+  }
+
+  for (const key of Object.keys(RANGE_FILTERS)) {
+    const min = readBound(query, `${key}Min`);
+    const max = readBound(query, `${key}Max`);
+
+    if (min !== undefined || max !== undefined) {
+      filters[key] = { min, max };
+    }
+  }
+
+  return filters;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let filters;
+  let page;
+  let limit;
+
+  try {
+    filters = parseFilters(req.query);
+    page = readPositiveInt(req.query.page, 1, "page");
+    limit = Math.min(
+      readPositiveInt(req.query.limit, DEFAULT_LIMIT, "limit"),
+      MAX_LIMIT
+    );
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  let totalMinted;
+
+  try {
+    totalMinted = Number(await readMintedSupply({ cacheTtlMs: 60_000 }));
+  } catch (err) {
+    console.error("Search minted supply read failed:", err);
+    return sendMintStateUnavailable(res);
+  }
+
+  let result;
+
+  try {
+    result = searchCubes(filters, {
+      offset: (page - 1) * limit,
+      limit,
+      maxTokenId: totalMinted,
+    });
+  } catch (err) {
+    if (err instanceof SearchFilterError) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    throw err;
+  }
+
+  res.setHeader(
+    "Cache-Control",
+    "public, s-maxage=60, stale-while-revalidate=300"
+  );
+
+  return res.status(200).json({
+    filters,
+    page,
+    limit,
+    total: result.total,
+    pages: Math.ceil(result.total / limit),
+    tokenIds: result.tokenIds,
+    totalMinted,
+  });
+}
@@ -0,0 +1,24 @@
+// src/pages/api/snapshot.js
+
+import { readProtocolSnapshot } from "../../lib/server/protocolSnapshot";
+
+/*
+  Versioned protocol snapshot shared by the Dashboard, Observer and
+  Q.O.R.I. uint256 values are decimal strings; see lib/protocolSnapshot.
+*/
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const snapshot = await readProtocolSnapshot();
+
+    res.setHeader("Cache-Control", "public, s-maxage=5, stale-while-revalidate=5");
+
+    return res.status(200).json(snapshot);
+  } catch (err) {
+    console.error("Snapshot error:", err);
+    return res.status(502).json({ error: "Failed to read protocol snapshot" });
+  }
+}
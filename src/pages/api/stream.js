@@ -0,0 +1,92 @@
+// src/pages/api/stream.js
+
+import { diffProtocolSnapshots } from "../../lib/protocolSnapshot";
+import { readProtocolSnapshot } from "../../lib/server/protocolSnapshot";
+
+/*
+  Server-Sent Events feed of protocol changes.
+
+  Opens with a "snapshot" event, then sends "height", "tick-window",
+  "burn", "mint" and "halving" events as the shared snapshot changes.
+  Every event carries the latest snapshot document. All connections on an
+  instance share readProtocolSnapshot's cache, so the chain is read once
+  per STREAM_POLL_MS however many tabs are listening.
+
+  A connection is closed after STREAM_LIFETIME_MS to stay inside
+  serverless time limits; EventSource reconnects on its own.
+*/
+
+const STREAM_POLL_MS = 5000;
+const HEARTBEAT_MS = 15_000;
+const STREAM_LIFETIME_MS = 55_000;
+const RECONNECT_MS = 3000;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Content-Encoding": "none",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const send = (type, payload) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  let previous = null;
+  let pollTimer = null;
+  let closed = false;
+
+  async function poll() {
+    try {
+      const snapshot = await readProtocolSnapshot();
+
+      if (closed) return;
+
+      if (!previous) {
+        send("snapshot", { snapshot });
+      } else {
+        for (const { type, ...details } of diffProtocolSnapshots(
+          previous,
+          snapshot
+        )) {
+          send(type, { ...details, snapshot });
+        }
+      }
+
+      previous = snapshot;
+    } catch (err) {
+      console.warn("Stream snapshot read failed:", err?.message || err);
+    }
+
+    if (!closed) pollTimer = setTimeout(poll, STREAM_POLL_MS);
+  }
+
+  await new Promise((resolve) => {
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+
+      clearTimeout(pollTimer);
+      clearInterval(heartbeat);
+      clearTimeout(lifetime);
+
+      res.end();
+      resolve();
+    };
+
+    const lifetime = setTimeout(close, STREAM_LIFETIME_MS);
+
+    req.on("close", close);
+    poll();
+  });
+}
@@ -1,15 +1,163 @@
 import { ethers } from "ethers";
+import { neon } from "@neondatabase/serverless";
+import { CONTROLLER_ABI, CONTROLLER_ADDRESS } from "../../lib/controller";
+import { getKeeperSigner } from "../../lib/server/keeperSigner";
+import {
+  ensureTickLedger,
+  readGasSpentToday,
+  recordTickAttempt,
+} from "../../lib/server/tickLedger";
 
 /**
- * Energon Mainnet Controller
+ * Energon tick keeper.
+ *
+ * Pre-flight: only ticks when secondsUntilNextEnergonBlock() is 0 and a
+ * simulated tickEnergon() succeeds, so a tick another keeper already
+ * landed is skipped instead of sent. Fees are capped at TICK_MAX_FEE_GWEI
+ * and total tick gas per UTC day at TICK_DAILY_GAS_CEILING_FLR.
+ *
+ * Every run is written to tick_attempts. The signing key comes from
+ * getKeeperSigner (keystore, remote signer or TICK_PRIVATE_KEY).
  */
-const CONTROLLER_ADDRESS = "0xc737bDcA9aFc57a1277480c3DFBF5bdbEcb54BB6";
+const DEFAULT_MAX_FEE_GWEI = "200";
+const DEFAULT_DAILY_GAS_CEILING_FLR = "5";
+const GAS_LIMIT_BUFFER_PERCENT = 20n;
+const CONFIRM_TIMEOUT_MS = 45_000;
 
-const CONTROLLER_ABI = [
-  "function tickEnergon() external",
-  "function energonHeight() view returns (uint256)",
-  "function secondsUntilNextEnergonBlock() view returns (uint256)",
-];
+function revertReason(err) {
+  return err?.reason || err?.shortMessage || err?.message || "unknown";
+}
+
+async function runTick(attempt, sql) {
+  const provider = new ethers.JsonRpcProvider(process.env.FLARE_RPC_URL);
+  const wallet = await getKeeperSigner(provider);
+
+  attempt.keeper = (await wallet.getAddress()).toLowerCase();
+
+  const controller = new ethers.Contract(
+    CONTROLLER_ADDRESS,
+    CONTROLLER_ABI,
+    wallet
+  );
+
+  const [secondsUntil, heightBefore] = await Promise.all([
+    controller.secondsUntilNextEnergonBlock(),
+    controller.energonHeight(),
+  ]);
+
+  attempt.secondsUntilNext = Number(secondsUntil);
+  attempt.heightBefore = heightBefore;
+
+  const skip = (reason) => {
+    attempt.status = "skipped";
+    attempt.reason = reason;
+    return 200;
+  };
+
+  if (secondsUntil > 0n) {
+    return skip(`not due for ${secondsUntil}s`);
+  }
+
+  try {
+    await controller.tickEnergon.staticCall();
+  } catch (err) {
+    if (err?.code !== "CALL_EXCEPTION") throw err;
+    return skip(`simulation reverted: ${revertReason(err)}`);
+  }
+
+  const gasEstimate = await controller.tickEnergon.estimateGas();
+  const gasLimit = (gasEstimate * (100n + GAS_LIMIT_BUFFER_PERCENT)) / 100n;
+
+  attempt.gasEstimate = gasEstimate;
+  attempt.gasLimit = gasLimit;
+
+  const feeCap = ethers.parseUnits(
+    process.env.TICK_MAX_FEE_GWEI || DEFAULT_MAX_FEE_GWEI,
+    "gwei"
+  );
+
+  const feeData = await provider.getFeeData();
+  const networkGasPrice = feeData.gasPrice ?? feeData.maxFeePerGas;
+
+  if (networkGasPrice === null) {
+    throw new Error("RPC returned no fee data");
+  }
+
+  if (networkGasPrice > feeCap) {
+    return skip(
+      `gas price ${ethers.formatUnits(networkGasPrice, "gwei")} gwei is above the ${ethers.formatUnits(feeCap, "gwei")} gwei cap`
+    );
+  }
+
+  const maxFeePerGas =
+    feeData.maxFeePerGas !== null && feeData.maxFeePerGas < feeCap
+      ? feeData.maxFeePerGas
+      : feeCap;
+
+  const priorityFee = feeData.maxPriorityFeePerGas ?? 0n;
+  const maxPriorityFeePerGas =
+    priorityFee < maxFeePerGas ? priorityFee : maxFeePerGas;
+
+  attempt.maxFeePerGas = maxFeePerGas;
+
+  const worstCaseCost = gasLimit * maxFeePerGas;
+
+  const ceiling = ethers.parseEther(
+    process.env.TICK_DAILY_GAS_CEILING_FLR || DEFAULT_DAILY_GAS_CEILING_FLR
+  );
+
+  const spentToday = await readGasSpentToday(sql);
+
+  if (spentToday + worstCaseCost > ceiling) {
+    return skip(
+      `daily gas ceiling reached (${ethers.formatEther(spentToday)} of ${ethers.formatEther(ceiling)} FLR spent)`
+    );
+  }
+
+  const tx = await controller.tickEnergon({
+    gasLimit,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+  });
+
+  attempt.txHash = tx.hash;
+  attempt.gasCostWei = worstCaseCost;
+
+  let receipt = null;
+
+  try {
+    receipt = await tx.wait(1, CONFIRM_TIMEOUT_MS);
+  } catch (err) {
+    if (err?.code === "TIMEOUT") {
+      attempt.status = "submitted";
+      attempt.reason = "not mined before the confirmation timeout";
+      return 202;
+    }
+
+    if (err?.code !== "CALL_EXCEPTION" || !err.receipt) throw err;
+    receipt = err.receipt;
+  }
+
+  attempt.gasUsed = receipt.gasUsed;
+  attempt.effectiveGasPrice = receipt.gasPrice;
+  attempt.gasCostWei = receipt.gasUsed * receipt.gasPrice;
+  attempt.heightAfter = await controller.energonHeight();
+
+  if (receipt.status === 1) {
+    attempt.status = "confirmed";
+    return 200;
+  }
+
+  if (attempt.heightAfter > heightBefore) {
+    attempt.status = "raced";
+    attempt.reason = "another keeper advanced the height first";
+    return 200;
+  }
+
+  attempt.status = "reverted";
+  attempt.reason = "tickEnergon reverted on-chain";
+  return 500;
+}
 
 export default async function handler(req, res) {
   if (req.method !== "GET") {
@@ -21,36 +169,40 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: "Unauthorized" });
   }
 
+  const attempt = { status: "failed" };
+  let sql = null;
+  let statusCode = 500;
+
   try {
     if (!process.env.FLARE_RPC_URL) throw new Error("Missing FLARE_RPC_URL");
-    if (!process.env.TICK_PRIVATE_KEY) throw new Error("Missing TICK_PRIVATE_KEY");
     if (!process.env.CRON_SECRET) throw new Error("Missing CRON_SECRET");
+    if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL");
 
-    const provider = new ethers.JsonRpcProvider(process.env.FLARE_RPC_URL);
-    const wallet = new ethers.Wallet(process.env.TICK_PRIVATE_KEY, provider);
+    sql = neon(process.env.DATABASE_URL);
+    await ensureTickLedger(sql);
 
-    const controller = new ethers.Contract(
-      CONTROLLER_ADDRESS,
-      CONTROLLER_ABI,
-      wallet
-    );
-
-    const tx = await controller.tickEnergon();
-    const receipt = await tx.wait();
-
-    const height = await controller.energonHeight();
-
-    return res.status(200).json({
-      ok: true,
-      tx: tx.hash,
-      blockNumber: receipt.blockNumber,
-      energonHeight: height.toString(),
-    });
+    statusCode = await runTick(attempt, sql);
   } catch (err) {
     console.error("Tick error:", err);
-    return res.status(500).json({
-      ok: false,
-      error: err?.message || "Unknown error",
-    });
+    attempt.status = "failed";
+    attempt.error = err?.message || "Unknown error";
+    statusCode = 500;
   }
-}
\ No newline at end of file
+
+  if (sql) {
+    try {
+      await recordTickAttempt(sql, attempt);
+    } catch (err) {
+      console.error("Tick ledger write failed:", err);
+    }
+  }
+
+  return res.status(statusCode).json({
+    ok: statusCode < 500,
+    status: attempt.status,
+    reason: attempt.reason,
+    tx: attempt.txHash,
+    energonHeight: (attempt.heightAfter ?? attempt.heightBefore)?.toString(),
+    error: attempt.error,
+  });
+}
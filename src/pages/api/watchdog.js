@@ -0,0 +1,37 @@
+import { neon } from "@neondatabase/serverless";
+import { runTickWatchdog } from "../../lib/server/tickWatchdog";
+
+/**
+ * Missed-tick watchdog.
+ *
+ * Cron-driven: records Energon clock stalls and alerts once a stall
+ * outlives TICK_WATCHDOG_GRACE_SECONDS.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const secret = req.headers["x-cron-secret"];
+  if (!secret || secret !== process.env.CRON_SECRET) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL");
+
+    const sql = neon(process.env.DATABASE_URL);
+    const summary = await runTickWatchdog(sql);
+
+    return res.status(200).json({
+      ok: true,
+      ...summary,
+    });
+  } catch (err) {
+    console.error("Tick watchdog error:", err);
+    return res.status(500).json({
+      ok: false,
+      error: err?.message || "Unknown error",
+    });
+  }
+}
@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from "react";
+import Head from "next/head";
+import { Canvas } from "@react-three/fiber";
+import { Environment, OrbitControls } from "@react-three/drei";
+
+import EnergonCube from "../../../components/observer/scene/EnergonCube";
+import EnergonField from "../../../components/observer/scene/EnergonField";
+import ShockwaveRing from "../../../components/observer/scene/ShockwaveRing";
+import {
+  GENESIS_CUBE_ID,
+  attributeValue,
+  buildAttributes,
+} from "../../../lib/cubeAttributes";
+import { MAX_SUPPLY } from "../../../lib/cubeMetadata";
+import { readControllerViews } from "../../../lib/server/controllerRead";
+import { readMintState } from "../../../lib/server/mintState";
+
+/*
+  Standalone viewer used as the token's animation_url.
+
+  Marketplaces load it in an iframe, so it renders the Observer's
+  EnergonCube in its coherent state without a wallet: traits come from
+  buildAttributes, the halving stage from the controller and the mint
+  progress color from the minted supply.
+
+  Unminted ids are a 404 so their traits are not published early; when
+  the minted supply cannot be read the page answers 503.
+*/
+
+const BEAT_INTERVAL_MS = 2400;
+
+async function readHalvingStage() {
+  const views = await readControllerViews(["launchTime", "halvingInterval"]);
+
+  const launch = Number(views.launchTime || 0);
+  const interval = Number(views.halvingInterval || 0);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!launch || !interval || now <= launch) return 0;
+  return Math.floor((now - launch) / interval);
+}
+
+export async function getServerSideProps({ params, res }) {
+  const tokenId = Number(params.id);
+
+  if (!Number.isInteger(tokenId) || tokenId < 1 || tokenId > MAX_SUPPLY) {
+    return { notFound: true };
+  }
+
+  const [halving, mint] = await Promise.all([
+    readHalvingStage().catch((err) => {
+      console.warn("Cube embed halving read failed:", err);
+      return 0;
+    }),
+    readMintState(tokenId),
+  ]);
+
+  if (mint.state === "unminted") {
+    return { notFound: true };
+  }
+
+  if (mint.state === "unknown") {
+    res.statusCode = 503;
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Retry-After", "30");
+
+    return { props: { tokenId, unavailable: true } };
+  }
+
+  res.setHeader(
+    "Cache-Control",
+    "public, s-maxage=300, stale-while-revalidate=600"
+  );
+
+  const isGenesis = tokenId === GENESIS_CUBE_ID;
+
+  return {
+    props: {
+      tokenId,
+      isGenesis,
+      rarityTier: isGenesis
+        ? "Genesis"
+        : attributeValue(buildAttributes(tokenId), "Rarity Tier"),
+      halvingStage: halving,
+      totalMinted: Number(mint.mintedSupply),
+    },
+  };
+}
+
+export default function CubeEmbed({
+  tokenId,
+  isGenesis,
+  rarityTier,
+  halvingStage,
+  totalMinted,
+  unavailable = false,
+}) {
+  const [beat, setBeat] = useState(0);
+
+  useEffect(() => {
+    if (unavailable) return;
+
+    const id = setInterval(() => {
+      setBeat((b) => b + 1);
+    }, BEAT_INTERVAL_MS);
+
+    return () => clearInterval(id);
+  }, [unavailable]);
+
+  if (unavailable) {
+    return (
+      <div
+        style={{
+          position: "fixed",
+          inset: 0,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          background: "#05060b",
+          color: "rgba(230,241,255,0.8)",
+          fontFamily: "monospace",
+          fontSize: 13,
+          letterSpacing: 2,
+        }}
+      >
+        ENERGON CUBE #{tokenId} · TEMPORARILY UNAVAILABLE
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{`Energon Cube #${tokenId}`}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+
+      <div
+        style={{
+          position: "fixed",
+          inset: 0,
+          background: "#05060b",
+        }}
+      >
+        <Canvas
+          camera={{ position: [0, 0, 4.0], fov: 50 }}
+          dpr={[1, 2]}
+          gl={{ antialias: true, alpha: true }}
+        >
+          <ambientLight intensity={0.25} />
+          <directionalLight position={[3, 4, 2]} intensity={1.35} />
+          <pointLight position={[-3, -2, 2]} intensity={0.7} />
+
+          <EnergonField enabled />
+
+          <ShockwaveRing enabled beat={beat} />
+
+          <EnergonCube
+            beat={beat}
+            mode="COHERENT"
+            rarityTier={rarityTier}
+            isGenesis={isGenesis}
+            isBound
+            totalMinted={totalMinted}
+            maxSupply={MAX_SUPPLY}
+            halvingStage={halvingStage}
+          />
+
+          <OrbitControls enablePan={false} minDistance={2.5} maxDistance={7} />
+
+          <Environment preset="city" />
+        </Canvas>
+
+        <div
+          style={{
+            position: "absolute",
+            left: 16,
+            bottom: 14,
+            color: "rgba(230,241,255,0.8)",
+            fontFamily: "monospace",
+            fontSize: 13,
+            letterSpacing: 2,
+            pointerEvents: "none",
+          }}
+        >
+          ENERGON CUBE #{tokenId} · {String(rarityTier).toUpperCase()}
+        </div>
+      </div>
+    </>
+  );
+}
+
+CubeEmbed.hideQori = true;
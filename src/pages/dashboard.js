@@ -1,13 +1,21 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { ethers } from "ethers";
 import Nav from "../components/Nav";
+import useProtocolStream from "../components/hooks/useProtocolStream";
 import {
   ABI,
   CONTRACT_ADDRESS,
+  EXPLORER_TX,
   MAINNET_CHAIN_ID,
   NETWORK_NAME,
   RPCS,
 } from "../lib/contract";
+import {
+  RPC_RANKING_TTL_MS,
+  fetchPreferredRpcIndex,
+} from "../lib/rpcRanking";
+import { fetchProtocolSnapshot } from "../lib/protocolSnapshot";
+import { auditAnchors, countHeaders, readHeaderFile } from "../lib/bitcoinHeaders";
 
 const EON_ADDRESS = "0x9458Cbb2e7DafFE6b3cf4d6F2AC75f2d2e0F7d79";
 
@@ -30,6 +38,11 @@ const READ_FAILURE_ROTATE_THRESHOLD = 3;
 const ONE_YEAR_SECONDS = 365 * 24 * 60 * 60;
 const THREE_MONTHS_SECONDS = 90 * 24 * 60 * 60;
 
+const REWARDS_PAGE_SIZE = 25;
+const BITCOIN_ANCHORS_PAGE_SIZE = 10;
+const AUDIT_ANCHORS_PAGE_SIZE = 1000;
+const MAX_AUDIT_ANCHOR_PAGES = 50;
+
 const MOBILE_BREAKPOINT = 760;
 const SMALL_PHONE_BREAKPOINT = 430;
 
@@ -123,6 +136,36 @@ function formatDateFromUnix(sec) {
   }
 }
 
+function formatRewardTime(iso) {
+  try {
+    return new Date(iso).toLocaleString();
+  } catch {
+    return "-";
+  }
+}
+
+function formatEonAmount(amountEon) {
+  const n = Number(amountEon || 0);
+  if (!Number.isFinite(n)) return "-";
+  return n.toLocaleString(undefined, { maximumFractionDigits: 4 });
+}
+
+function censusBuckets(distribution) {
+  const buckets = [
+    { label: "1", min: 1, max: 1 },
+    { label: "2", min: 2, max: 2 },
+    { label: "3–5", min: 3, max: 5 },
+    { label: "6+", min: 6, max: Infinity },
+  ];
+
+  return buckets.map((bucket) => ({
+    label: bucket.label,
+    wallets: (distribution || [])
+      .filter((row) => row.cubes >= bucket.min && row.cubes <= bucket.max)
+      .reduce((sum, row) => sum + row.wallets, 0),
+  }));
+}
+
 function formatCountdown(seconds) {
   const s = Math.max(0, Number(seconds || 0));
   const days = Math.floor(s / 86400);
@@ -172,6 +215,17 @@ export default function Dashboard() {
   const [lastTickTx, setLastTickTx] = useState("");
   const [pendingTickTx, setPendingTickTx] = useState("");
 
+  const [census, setCensus] = useState(null);
+  const [rewardHistory, setRewardHistory] = useState(null);
+  const [rewardsErr, setRewardsErr] = useState("");
+  const [bitcoinAnchors, setBitcoinAnchors] = useState(null);
+  const [bitcoinAnchorsErr, setBitcoinAnchorsErr] = useState("");
+  const [headerFile, setHeaderFile] = useState(null);
+  const [headerStartHeight, setHeaderStartHeight] = useState("0");
+  const [anchorAudit, setAnchorAudit] = useState(null);
+  const [anchorAuditStatus, setAnchorAuditStatus] = useState("");
+  const [anchorAuditBusy, setAnchorAuditBusy] = useState(false);
+
   const [backoffMs, setBackoffMs] = useState(0);
   const backoffRef = useRef(0);
 
@@ -204,6 +258,142 @@ export default function Dashboard() {
     return () => clearInterval(t);
   }, []);
 
+  useEffect(() => {
+    let alive = true;
+
+    fetch("/api/census")
+      .then((r) => (r.ok ? r.json() : null))
+      .then((json) => {
+        if (alive) setCensus(json);
+      })
+      .catch(() => {});
+
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    let alive = true;
+
+    setRewardsErr("");
+    if (!account) {
+      setRewardHistory(null);
+      return;
+    }
+
+    fetch(`/api/rewards/${account}?limit=${REWARDS_PAGE_SIZE}`)
+      .then(async (r) => {
+        const json = await r.json().catch(() => null);
+        if (!r.ok) throw new Error(json?.error || "Reward history unavailable");
+        return json;
+      })
+      .then((json) => {
+        if (alive) setRewardHistory(json);
+      })
+      .catch((e) => {
+        if (alive) setRewardsErr(e?.message || "Reward history unavailable");
+      });
+
+    return () => {
+      alive = false;
+    };
+  }, [account, energonHeight]);
+
+  useEffect(() => {
+    let alive = true;
+
+    fetch(`/api/bitcoin-anchors?limit=${BITCOIN_ANCHORS_PAGE_SIZE}`)
+      .then(async (r) => {
+        const json = await r.json().catch(() => null);
+        if (!r.ok) throw new Error(json?.error || "Bitcoin anchors unavailable");
+        return json;
+      })
+      .then((json) => {
+        if (!alive) return;
+        setBitcoinAnchors(json);
+        setBitcoinAnchorsErr("");
+      })
+      .catch((e) => {
+        if (alive) setBitcoinAnchorsErr(e?.message || "Bitcoin anchors unavailable");
+      });
+
+    return () => {
+      alive = false;
+    };
+  }, [energonHeight]);
+
+  async function fetchAnchorsInRange(fromHeight, toHeight) {
+    const anchors = [];
+
+    for (let page = 1; page <= MAX_AUDIT_ANCHOR_PAGES; page += 1) {
+      const r = await fetch(
+        `/api/bitcoin-anchors?fromHeight=${fromHeight}&toHeight=${toHeight}&limit=${AUDIT_ANCHORS_PAGE_SIZE}&page=${page}`
+      );
+      const json = await r.json().catch(() => null);
+
+      if (!r.ok) throw new Error(json?.error || "Bitcoin anchors unavailable");
+
+      anchors.push(...json.anchors);
+
+      if (anchors.length >= json.total || !json.anchors.length) {
+        return { anchors, json };
+      }
+    }
+
+    throw new Error("Too many anchors in that range; use a smaller header file.");
+  }
+
+  // Everything after the anchor download runs locally against the
+  // user's own header file.
+  async function runAnchorAudit() {
+    if (!headerFile || anchorAuditBusy) return;
+
+    setAnchorAuditBusy(true);
+    setAnchorAudit(null);
+    setAnchorAuditStatus("Reading header file…");
+
+    try {
+      const startHeight = Number(headerStartHeight);
+
+      if (!Number.isInteger(startHeight) || startHeight < 0) {
+        throw new Error("Start height must be a whole number.");
+      }
+
+      const headers = readHeaderFile(await headerFile.arrayBuffer());
+      const endHeight = startHeight + countHeaders(headers) - 1;
+
+      setAnchorAuditStatus("Downloading submitted hashes…");
+
+      const { anchors, json } = await fetchAnchorsInRange(startHeight, endHeight);
+
+      if (
+        json.lastHash &&
+        json.lastHeight !== null &&
+        json.lastHeight >= startHeight &&
+        json.lastHeight <= endHeight &&
+        !anchors.some((anchor) => anchor.btcHeight === json.lastHeight)
+      ) {
+        anchors.push({ btcHeight: json.lastHeight, btcBlockHash: json.lastHash });
+      }
+
+      const audit = await auditAnchors(headers, anchors, {
+        startHeight,
+        onProgress: (done, total) =>
+          setAnchorAuditStatus(
+            `Verifying headers… ${done.toLocaleString()} / ${total.toLocaleString()}`
+          ),
+      });
+
+      setAnchorAudit(audit);
+      setAnchorAuditStatus("");
+    } catch (e) {
+      setAnchorAuditStatus(e?.message || "Header verification failed");
+    } finally {
+      setAnchorAuditBusy(false);
+    }
+  }
+
   const rpcList = useMemo(() => {
     const v = RPCS?.[MAINNET_CHAIN_ID];
     if (Array.isArray(v)) return v.filter(Boolean);
@@ -212,6 +402,7 @@ export default function Dashboard() {
   }, []);
 
   const roRpcIndexRef = useRef(0);
+  const rpcRankedRef = useRef(Promise.resolve());
   const roProviderRef = useRef(null);
 
   function makeRoProvider(index) {
@@ -229,6 +420,29 @@ export default function Dashboard() {
     return roProviderRef.current;
   }
 
+  // Use the healthiest endpoint reported by /api/rpc-health instead of
+  // always index 0, re-ranked as the ranking expires; failures still
+  // rotate from there. The first read waits for the first ranking.
+  useEffect(() => {
+    let alive = true;
+
+    const applyRanking = () =>
+      fetchPreferredRpcIndex(rpcList).then((index) => {
+        if (!alive || index === null || index === roRpcIndexRef.current) return;
+
+        roRpcIndexRef.current = index;
+        roProviderRef.current = null;
+      });
+
+    rpcRankedRef.current = applyRanking();
+    const t = setInterval(applyRanking, RPC_RANKING_TTL_MS);
+
+    return () => {
+      alive = false;
+      clearInterval(t);
+    };
+  }, [rpcList]);
+
   function rotateRpc(reason = "read failure") {
     if (rpcList.length <= 1) return;
 
@@ -656,9 +870,23 @@ export default function Dashboard() {
 
       const acct = optionalAccount || accountRef.current || account;
 
+      // Shared /api/snapshot first; any value it lacks is read from the chain.
+      let snapshot = null;
+
+      try {
+        snapshot = await fetchProtocolSnapshot();
+      } catch (e) {
+        console.warn("Snapshot unavailable; reading chain directly", e);
+      }
+
+      const fromSnapshotOr = (key, read) =>
+        snapshot?.[key] !== null && snapshot?.[key] !== undefined
+          ? Promise.resolve(snapshot[key])
+          : read();
+
       const [totalMintedResult, controllerResult] = await Promise.allSettled([
-        cube.totalMinted(),
-        cube.controller(),
+        fromSnapshotOr("totalMinted", () => cube.totalMinted()),
+        fromSnapshotOr("controller", () => cube.controller()),
       ]);
 
       if (totalMintedResult.status === "fulfilled") {
@@ -700,12 +928,16 @@ export default function Dashboard() {
       const controller = new ethers.Contract(ctrl, CONTROLLER_ABI, providerToUse);
 
       const controllerReads = await Promise.allSettled([
-        controller.energonHeight(),
-        controller.secondsUntilNextEnergonBlock(),
-        controller.launchTime(),
-        controller.lastHalvingTime(),
-        controller.halvingInterval(),
-        controller.burnPoolRemaining(),
+        fromSnapshotOr("energonHeight", () => controller.energonHeight()),
+        fromSnapshotOr("secondsUntilNextEnergonBlock", () =>
+          controller.secondsUntilNextEnergonBlock()
+        ),
+        fromSnapshotOr("launchTime", () => controller.launchTime()),
+        fromSnapshotOr("lastHalvingTime", () => controller.lastHalvingTime()),
+        fromSnapshotOr("halvingInterval", () => controller.halvingInterval()),
+        fromSnapshotOr("burnPoolRemaining", () =>
+          controller.burnPoolRemaining()
+        ),
       ]);
 
       const [
@@ -1056,8 +1288,14 @@ export default function Dashboard() {
     return () => clearInterval(t);
   }, [cooldownLeft]);
 
+  // Re-read as soon as the protocol stream reports a change, rather than
+  // waiting for the next poll.
+  useProtocolStream((event) => {
+    if (event.type !== "snapshot") refreshRead(accountRef.current);
+  });
+
   useEffect(() => {
-    refreshRead(accountRef.current);
+    rpcRankedRef.current.then(() => refreshRead(accountRef.current));
 
     const t = setInterval(() => {
       refreshRead(accountRef.current);
@@ -1387,6 +1625,30 @@ export default function Dashboard() {
             isMobile ? styles.tileValueMobile : null
           )}
 
+          {tile(
+            "Holder Census",
+            census
+              ? `${census.coherentWallets.toLocaleString()} coherent\n${census.fracturedWallets.toLocaleString()} fractured`
+              : "-",
+            census ? (
+              <div style={styles.censusMeta}>
+                {census.transferHistoryComplete
+                  ? `${census.coherentSupplyPercent}% of minted supply held coherently`
+                  : "Partial: transfer history is not fully indexed yet"}
+                <br />
+                Cubes per wallet:{" "}
+                {censusBuckets(census.distribution)
+                  .map((b) => `${b.label}: ${b.wallets.toLocaleString()}`)
+                  .join(" • ")}
+              </div>
+            ) : null,
+            null,
+            {
+              whiteSpace: "pre-line",
+              ...(isMobile ? styles.tileValueMobile : {}),
+            }
+          )}
+
           <div
             style={{
               ...styles.tile,
@@ -1463,6 +1725,265 @@ export default function Dashboard() {
           </div>
         </div>
 
+        {account ? (
+          <div style={{ ...styles.tile, ...styles.rewardsPanel }}>
+            <div style={styles.rewardsHeader}>
+              <div style={{ ...styles.tileLabel, marginBottom: 0 }}>Rewards</div>
+
+              <div style={styles.rewardsTotal}>
+                {rewardHistory
+                  ? `${rewardHistory.total} payouts • ${formatEonAmount(
+                    rewardHistory.totalAmountEon
+                  )} EON`
+                  : rewardsErr || "Loading…"}
+              </div>
+
+              {rewardHistory?.total ? (
+                <a
+                  href={`/api/rewards/${account}?format=csv`}
+                  download
+                  style={{ ...styles.btnSecondary, ...styles.rewardsCsvBtn }}
+                >
+                  Download CSV
+                </a>
+              ) : null}
+            </div>
+
+            {rewardHistory?.rewards?.length ? (
+              <div style={styles.rewardsTableWrap}>
+                <table style={styles.rewardsTable}>
+                  <thead>
+                    <tr>
+                      <th style={styles.rewardsTh}>Time</th>
+                      <th style={styles.rewardsTh}>Height</th>
+                      <th style={styles.rewardsTh}>Cube</th>
+                      <th style={styles.rewardsTh}>Amount</th>
+                      <th style={styles.rewardsTh}>Tx</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rewardHistory.rewards.map((reward) => (
+                      <tr key={`${reward.txHash}-${reward.logIndex}`}>
+                        <td style={styles.rewardsTd}>
+                          {formatRewardTime(reward.timestamp)}
+                        </td>
+                        <td style={styles.rewardsTd}>
+                          {reward.energonHeight === null ? (
+                            "-"
+                          ) : (
+                            <a
+                              href={`/energon/${reward.energonHeight}`}
+                              style={styles.rewardsLink}
+                            >
+                              {reward.energonHeight}
+                            </a>
+                          )}
+                        </td>
+                        <td style={styles.rewardsTd}>#{reward.tokenId}</td>
+                        <td style={styles.rewardsTd}>
+                          {formatEonAmount(reward.amountEon)} EON
+                        </td>
+                        <td style={styles.rewardsTd}>
+                          <a
+                            href={EXPLORER_TX(reward.txHash)}
+                            target="_blank"
+                            rel="noreferrer"
+                            style={styles.rewardsLink}
+                          >
+                            {shortAddr(reward.txHash)}
+                          </a>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : rewardHistory ? (
+              <div style={styles.rewardsEmpty}>
+                No rewards recorded for this wallet yet.
+              </div>
+            ) : null}
+
+            {rewardHistory?.total > rewardHistory?.rewards?.length ? (
+              <div style={styles.rewardsEmpty}>
+                Showing the latest {rewardHistory.rewards.length}. The CSV has
+                every indexed payout.
+              </div>
+            ) : null}
+
+            {rewardHistory ? (
+              <div style={styles.rewardsEmpty}>
+                {rewardHistory.transferHistoryComplete
+                  ? "Indexed"
+                  : "Partial: reward history is not fully indexed yet, so totals and the CSV may miss older payouts. Indexed"}{" "}
+                through Flare block{" "}
+                {rewardHistory.indexedBlock === null
+                  ? "-"
+                  : rewardHistory.indexedBlock.toLocaleString("en-US")}
+                .
+              </div>
+            ) : null}
+          </div>
+        ) : null}
+
+        <div style={{ ...styles.tile, ...styles.rewardsPanel }}>
+          <div style={styles.rewardsHeader}>
+            <div style={{ ...styles.tileLabel, marginBottom: 0 }}>
+              Bitcoin Anchor
+            </div>
+
+            <div style={styles.rewardsTotal}>
+              {bitcoinAnchors
+                ? `Height ${bitcoinAnchors.lastHeight ?? "-"} • ${bitcoinAnchors.total} submissions indexed`
+                : bitcoinAnchorsErr || "Loading…"}
+            </div>
+          </div>
+
+          {bitcoinAnchors?.lastHash ? (
+            <div style={styles.anchorHash}>{bitcoinAnchors.lastHash}</div>
+          ) : null}
+
+          {bitcoinAnchors?.anchors?.length ? (
+            <div style={styles.rewardsTableWrap}>
+              <table style={styles.rewardsTable}>
+                <thead>
+                  <tr>
+                    <th style={styles.rewardsTh}>Time</th>
+                    <th style={styles.rewardsTh}>BTC Height</th>
+                    <th style={styles.rewardsTh}>Block Hash</th>
+                    <th style={styles.rewardsTh}>Tx</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {bitcoinAnchors.anchors.map((anchor) => (
+                    <tr key={`${anchor.txHash}-${anchor.logIndex}`}>
+                      <td style={styles.rewardsTd}>
+                        {formatRewardTime(anchor.timestamp)}
+                      </td>
+                      <td style={styles.rewardsTd}>{anchor.btcHeight}</td>
+                      <td style={styles.rewardsTd} title={anchor.btcBlockHash}>
+                        {shortAddr(anchor.btcBlockHash)}
+                      </td>
+                      <td style={styles.rewardsTd}>
+                        <a
+                          href={EXPLORER_TX(anchor.txHash)}
+                          target="_blank"
+                          rel="noreferrer"
+                          style={styles.rewardsLink}
+                        >
+                          {shortAddr(anchor.txHash)}
+                        </a>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : bitcoinAnchors ? (
+            <div style={styles.rewardsEmpty}>No Bitcoin submissions indexed yet.</div>
+          ) : null}
+
+          <div style={styles.anchorVerifier}>
+            <div style={styles.rewardsEmpty}>
+              Verify offline: load Bitcoin headers (raw 80-byte headers or one
+              hex header per line) starting at the given height. Proof of work,
+              difficulty retargets and prev-hash links are checked in your
+              browser against mainnet rules, then every
+              submitted hash in that range is compared.
+            </div>
+
+            <div style={styles.anchorVerifierRow}>
+              <input
+                type="file"
+                onChange={(e) => {
+                  setHeaderFile(e.target.files?.[0] || null);
+                  setAnchorAudit(null);
+                  setAnchorAuditStatus("");
+                }}
+                style={styles.anchorInput}
+              />
+
+              <label style={styles.anchorLabel}>
+                Start height
+                <input
+                  type="number"
+                  min="0"
+                  value={headerStartHeight}
+                  onChange={(e) => setHeaderStartHeight(e.target.value)}
+                  style={{ ...styles.anchorInput, ...styles.anchorHeightInput }}
+                />
+              </label>
+
+              <button
+                type="button"
+                onClick={runAnchorAudit}
+                disabled={!headerFile || anchorAuditBusy}
+                style={{
+                  ...styles.btnSecondary,
+                  ...styles.rewardsCsvBtn,
+                  opacity: !headerFile || anchorAuditBusy ? 0.55 : 1,
+                }}
+              >
+                {anchorAuditBusy ? "Verifying…" : "Verify Headers"}
+              </button>
+            </div>
+
+            {anchorAuditStatus ? (
+              <div style={styles.rewardsEmpty}>{anchorAuditStatus}</div>
+            ) : null}
+
+            {anchorAudit ? (
+              <div style={styles.censusMeta}>
+                <div>
+                  Headers {anchorAudit.chain.startHeight}–
+                  {anchorAudit.chain.endHeight}:{" "}
+                  {anchorAudit.chain.valid
+                    ? "proof of work, difficulty and links valid"
+                    : `${anchorAudit.chain.errorCount} problems`}
+                </div>
+
+                {anchorAudit.chain.retargetsUnchecked ? (
+                  <div>
+                    {anchorAudit.chain.retargetsUnchecked} difficulty retarget
+                    {anchorAudit.chain.retargetsUnchecked === 1 ? "" : "s"} only
+                    checked against powLimit; start the file at height 0 to
+                    re-derive every one.
+                  </div>
+                ) : null}
+
+                {anchorAudit.chain.errors.map((error, i) => (
+                  <div key={`${error.height}-${i}`}>
+                    ✕ Height {error.height}: {error.reason}
+                  </div>
+                ))}
+
+                <div>
+                  Submissions:{" "}
+                  {
+                    anchorAudit.results.filter((r) => r.status === "match")
+                      .length
+                  }{" "}
+                  match,{" "}
+                  {
+                    anchorAudit.results.filter((r) => r.status === "mismatch")
+                      .length
+                  }{" "}
+                  mismatch
+                </div>
+
+                {anchorAudit.results
+                  .filter((r) => r.status === "mismatch")
+                  .map((r) => (
+                    <div key={`${r.btcHeight}-${r.btcBlockHash}`}>
+                      ✕ Height {r.btcHeight}: submitted {shortAddr(r.btcBlockHash)},
+                      file has {shortAddr(r.fileHash)}
+                    </div>
+                  ))}
+              </div>
+            ) : null}
+          </div>
+        </div>
+
         <div
           style={{
             ...styles.status,
@@ -1862,6 +2383,118 @@ const styles = {
     lineHeight: 1.2,
   },
 
+  censusMeta: {
+    marginTop: 10,
+    fontSize: 13,
+    lineHeight: 1.5,
+    color: "rgba(230,238,255,0.78)",
+  },
+
+  rewardsPanel: {
+    marginTop: 14,
+    minHeight: "auto",
+  },
+
+  rewardsHeader: {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 12,
+    marginBottom: 12,
+  },
+
+  rewardsTotal: {
+    flex: 1,
+    fontSize: 13,
+    color: "rgba(230,238,255,0.82)",
+  },
+
+  rewardsCsvBtn: {
+    padding: "7px 12px",
+    fontSize: 13,
+    textDecoration: "none",
+  },
+
+  rewardsTableWrap: {
+    overflowX: "auto",
+  },
+
+  rewardsTable: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+    color: "rgba(236,243,255,0.92)",
+  },
+
+  rewardsTh: {
+    textAlign: "left",
+    fontWeight: 600,
+    padding: "6px 10px 8px 0",
+    borderBottom: "1px solid rgba(122,185,255,0.22)",
+    color: "rgba(225,236,255,0.72)",
+    whiteSpace: "nowrap",
+  },
+
+  rewardsTd: {
+    padding: "7px 10px 7px 0",
+    borderBottom: "1px solid rgba(122,185,255,0.08)",
+    whiteSpace: "nowrap",
+  },
+
+  rewardsLink: {
+    color: "#8fd0ff",
+    textDecoration: "none",
+  },
+
+  rewardsEmpty: {
+    marginTop: 8,
+    fontSize: 13,
+    color: "rgba(230,238,255,0.72)",
+  },
+
+  anchorHash: {
+    marginBottom: 10,
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    fontSize: 12,
+    wordBreak: "break-all",
+    color: "#f2f7ff",
+  },
+
+  anchorVerifier: {
+    marginTop: 14,
+    paddingTop: 10,
+    borderTop: "1px solid rgba(122,185,255,0.14)",
+  },
+
+  anchorVerifierRow: {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 12,
+    marginTop: 10,
+  },
+
+  anchorLabel: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    fontSize: 13,
+    color: "rgba(230,238,255,0.82)",
+  },
+
+  anchorInput: {
+    fontSize: 13,
+    color: "rgba(236,243,255,0.92)",
+  },
+
+  anchorHeightInput: {
+    width: 110,
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid rgba(122,185,255,0.22)",
+    background: "rgba(8,18,42,0.54)",
+  },
+
   status: {
     marginTop: 14,
     fontSize: 15,
@@ -0,0 +1,435 @@
+import { useEffect, useState } from "react";
+import Nav from "../components/Nav";
+
+const MOBILE_BREAKPOINT = 768;
+const REFRESH_MS = 60000;
+
+function formatDuration(seconds) {
+  const n = Number(seconds);
+  if (!Number.isFinite(n)) return "-";
+
+  const sign = n < 0 ? "-" : "";
+  const s = Math.round(Math.abs(n));
+  const days = Math.floor(s / 86400);
+  const hours = Math.floor((s % 86400) / 3600);
+  const minutes = Math.floor((s % 3600) / 60);
+
+  if (days > 0) return `${sign}${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${sign}${hours}h ${minutes}m`;
+  if (minutes > 0) return `${sign}${minutes}m ${s % 60}s`;
+  return `${sign}${s}s`;
+}
+
+function formatBlockTime(seconds) {
+  const n = Number(seconds);
+  if (!Number.isFinite(n) || n <= 0) return "-";
+  return `${Math.floor(n / 60)}m ${Math.round(n % 60)}s`;
+}
+
+function formatUnixDate(sec) {
+  const n = Number(sec || 0);
+  if (!Number.isFinite(n) || n <= 0) return "-";
+  return new Date(n * 1000).toLocaleDateString();
+}
+
+function formatTime(iso) {
+  if (!iso) return "-";
+
+  try {
+    return new Date(iso).toLocaleString();
+  } catch {
+    return "-";
+  }
+}
+
+export default function Drift() {
+  const [isMobile, setIsMobile] = useState(false);
+  const [report, setReport] = useState(null);
+  const [reportErr, setReportErr] = useState("");
+
+  useEffect(() => {
+    function handleResize() {
+      setIsMobile(window.innerWidth <= MOBILE_BREAKPOINT);
+    }
+
+    handleResize();
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, []);
+
+  useEffect(() => {
+    let alive = true;
+
+    function load() {
+      fetch("/api/drift")
+        .then(async (r) => {
+          const json = await r.json().catch(() => null);
+          if (!r.ok) throw new Error(json?.error || "Drift report unavailable");
+          return json;
+        })
+        .then((json) => {
+          if (!alive) return;
+          setReport(json);
+          setReportErr("");
+        })
+        .catch((e) => {
+          if (alive) setReportErr(e?.message || "Drift report unavailable");
+        });
+    }
+
+    load();
+    const t = setInterval(load, REFRESH_MS);
+
+    return () => {
+      alive = false;
+      clearInterval(t);
+    };
+  }, []);
+
+  const sinceLaunch = report?.sinceLaunch || null;
+  const gridStyle = isMobile ? styles.grid2 : styles.grid3;
+
+  return (
+    <div style={styles.page}>
+      <Nav />
+
+      <div
+        style={{
+          ...styles.wrap,
+          padding: isMobile ? "20px 14px 34px" : styles.wrap.padding,
+        }}
+      >
+        <div style={styles.headerBlock}>
+          <h1 style={{ ...styles.h1, fontSize: isMobile ? 24 : 42 }}>
+            ENERGON CLOCK DRIFT
+          </h1>
+          <div style={styles.headerGlowLine} />
+        </div>
+
+        {reportErr && !report ? (
+          <div style={styles.status}>{reportErr}</div>
+        ) : null}
+
+        {!report && !reportErr ? (
+          <div style={styles.status}>Reading the Energon clock…</div>
+        ) : null}
+
+        {report ? (
+          <>
+            <div style={gridStyle}>
+              <div style={styles.tile}>
+                <div style={styles.tileLabel}>Clock</div>
+                <div style={styles.tileValue}>
+                  {report.stalled ? (
+                    <span style={{ ...styles.badge, ...styles.badgeAlert }}>
+                      STALLED {formatDuration(report.overdueSeconds)}
+                    </span>
+                  ) : (
+                    <span style={{ ...styles.badge, ...styles.badgeOk }}>
+                      RUNNING
+                    </span>
+                  )}
+                </div>
+                <div style={styles.meta}>
+                  Height {report.energonHeight ?? "-"} · grace{" "}
+                  {formatDuration(report.graceSeconds)}
+                </div>
+              </div>
+
+              <div style={styles.tile}>
+                <div style={styles.tileLabel}>Block Time</div>
+                <div style={styles.tileValue}>
+                  {formatBlockTime(sinceLaunch?.actualBlockTime)}
+                </div>
+                <div style={styles.meta}>
+                  Target {formatBlockTime(report.targetBlockTime)}
+                  {sinceLaunch
+                    ? ` · ${sinceLaunch.heights.toLocaleString()} heights since launch`
+                    : " · controller clock unavailable"}
+                </div>
+              </div>
+
+              <div style={styles.tile}>
+                <div style={styles.tileLabel}>Cumulative Drift</div>
+                <div style={styles.tileValue}>
+                  {formatDuration(report.cumulativeDriftSeconds)}
+                </div>
+                <div style={styles.meta}>
+                  {sinceLaunch
+                    ? `Since launch (${formatUnixDate(sinceLaunch.launchTime)})`
+                    : "-"}
+                </div>
+              </div>
+            </div>
+
+            <div style={{ ...styles.tile, ...styles.panel }}>
+              <div style={styles.tileLabel}>Projected Halvings</div>
+
+              {report.halvings.length ? (
+                <div style={styles.tableWrap}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>Scheduled</th>
+                        <th style={styles.th}>Projected</th>
+                        <th style={styles.th}>Shift</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.halvings.map((halving) => (
+                        <tr key={halving.scheduledAt}>
+                          <td style={styles.td}>
+                            {formatUnixDate(halving.scheduledAt)}
+                          </td>
+                          <td style={styles.td}>
+                            {formatUnixDate(halving.projectedAt)}
+                          </td>
+                          <td style={styles.td}>
+                            +{formatDuration(halving.shiftSeconds)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div style={styles.empty}>Halving schedule unavailable.</div>
+              )}
+
+              <div style={styles.meta}>
+                Halvings are time-based; this assumes each takes effect on the
+                first tick after it is due, late by the mean tick delay (
+                {formatDuration(report.tickLatenessSeconds)}).
+              </div>
+            </div>
+
+            <div style={{ ...styles.tile, ...styles.panel }}>
+              <div style={styles.tileLabel}>Daily Block Time (UTC)</div>
+
+              {report.daily.length ? (
+                <div style={styles.tableWrap}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>Day</th>
+                        <th style={styles.th}>Ticks</th>
+                        <th style={styles.th}>Heights</th>
+                        <th style={styles.th}>Avg block</th>
+                        <th style={styles.th}>Drift</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.daily.map((day) => (
+                        <tr key={day.day}>
+                          <td style={styles.td}>{day.day}</td>
+                          <td style={styles.td}>{day.ticks}</td>
+                          <td style={styles.td}>{day.heights}</td>
+                          <td style={styles.td}>
+                            {formatBlockTime(day.actualBlockTime)}
+                          </td>
+                          <td style={styles.td}>
+                            {formatDuration(day.driftSeconds)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div style={styles.empty}>No indexed ticks yet.</div>
+              )}
+            </div>
+
+            <div style={{ ...styles.tile, ...styles.panel }}>
+              <div style={styles.tileLabel}>Missed-Tick Gaps</div>
+
+              {report.gaps.length ? (
+                <div style={styles.tableWrap}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>Height</th>
+                        <th style={styles.th}>Due</th>
+                        <th style={styles.th}>Ticked</th>
+                        <th style={styles.th}>Gap</th>
+                        <th style={styles.th}>Alert</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.gaps.map((gap) => (
+                        <tr key={gap.energonHeight}>
+                          <td style={styles.td}>{gap.energonHeight}</td>
+                          <td style={styles.td}>{formatTime(gap.dueAt)}</td>
+                          <td style={styles.td}>
+                            {gap.resolvedAt ? formatTime(gap.resolvedAt) : "open"}
+                          </td>
+                          <td style={styles.td}>
+                            {formatDuration(gap.gapSeconds)}
+                          </td>
+                          <td style={styles.td}>{gap.flagged ? "yes" : "-"}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div style={styles.empty}>No stalls recorded.</div>
+              )}
+            </div>
+          </>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  page: {
+    minHeight: "100vh",
+    background:
+      "radial-gradient(circle at 50% 14%, rgba(38,74,160,0.08) 0%, rgba(5,10,24,0.32) 18%, #000000 52%, #000000 100%)",
+    color: "#fff",
+    fontFamily:
+      'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, "Apple Color Emoji","Segoe UI Emoji"',
+  },
+
+  wrap: {
+    maxWidth: 980,
+    margin: "0 auto",
+    padding: "34px 18px 60px",
+  },
+
+  headerBlock: {
+    marginBottom: 24,
+    textAlign: "center",
+  },
+
+  h1: {
+    margin: 0,
+    lineHeight: 1.04,
+    fontWeight: 500,
+    letterSpacing: 0.12,
+    color: "#ffffff",
+    textTransform: "uppercase",
+  },
+
+  headerGlowLine: {
+    marginTop: 12,
+    height: 1,
+    width: "100%",
+    borderRadius: 999,
+    background:
+      "linear-gradient(90deg, rgba(80,170,255,0.04), rgba(90,180,255,0.18), rgba(140,220,255,0.95), rgba(90,180,255,0.18), rgba(80,170,255,0.04))",
+    boxShadow: "0 0 16px rgba(100,180,255,0.24)",
+  },
+
+  grid3: {
+    display: "grid",
+    gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+    gap: 14,
+    marginTop: 10,
+  },
+
+  grid2: {
+    display: "grid",
+    gridTemplateColumns: "repeat(2, minmax(0, 1fr))",
+    gap: 12,
+    marginTop: 10,
+  },
+
+  tile: {
+    background:
+      "linear-gradient(180deg, rgba(22,56,118,0.22), rgba(8,18,42,0.54))",
+    border: "1px solid rgba(122,185,255,0.22)",
+    borderRadius: 16,
+    padding: 16,
+    boxShadow:
+      "0 16px 34px rgba(0,0,0,0.28), inset 0 0 0 1px rgba(255,255,255,0.02), 0 0 18px rgba(60,135,255,0.07)",
+    minHeight: 112,
+  },
+
+  panel: {
+    marginTop: 14,
+    minHeight: "auto",
+  },
+
+  tileLabel: {
+    fontSize: 14,
+    marginBottom: 12,
+    letterSpacing: 0.2,
+    color: "rgba(225,236,255,0.92)",
+  },
+
+  tileValue: {
+    fontSize: 18,
+    fontWeight: 700,
+    letterSpacing: 0.2,
+    color: "#f2f7ff",
+  },
+
+  meta: {
+    marginTop: 10,
+    fontSize: 13,
+    lineHeight: 1.5,
+    color: "rgba(230,238,255,0.78)",
+  },
+
+  tableWrap: {
+    overflowX: "auto",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+    color: "rgba(236,243,255,0.92)",
+  },
+
+  th: {
+    textAlign: "left",
+    fontWeight: 600,
+    padding: "6px 10px 8px 0",
+    borderBottom: "1px solid rgba(122,185,255,0.22)",
+    color: "rgba(225,236,255,0.72)",
+    whiteSpace: "nowrap",
+  },
+
+  td: {
+    padding: "7px 10px 7px 0",
+    borderBottom: "1px solid rgba(122,185,255,0.08)",
+    whiteSpace: "nowrap",
+  },
+
+  empty: {
+    marginTop: 8,
+    fontSize: 13,
+    color: "rgba(230,238,255,0.72)",
+  },
+
+  status: {
+    marginTop: 14,
+    fontSize: 15,
+    color: "rgba(234,241,255,0.90)",
+  },
+
+  badge: {
+    display: "inline-block",
+    padding: "8px 13px",
+    borderRadius: 999,
+    fontSize: 12,
+    fontWeight: 800,
+    letterSpacing: 0.45,
+  },
+
+  badgeOk: {
+    border: "1px solid rgba(70,230,190,0.34)",
+    background: "rgba(45,190,170,0.14)",
+    color: "#c9fff3",
+  },
+
+  badgeAlert: {
+    border: "1px solid rgba(255,90,90,0.32)",
+    background: "rgba(255,90,90,0.10)",
+    color: "#ffd0d0",
+  },
+};
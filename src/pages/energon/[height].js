@@ -0,0 +1,481 @@
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import Nav from "../../components/Nav";
+import { EXPLORER_ADDRESS } from "../../lib/contract";
+
+/*
+  Reward seed explorer: one Energon block per page, /energon/latest for
+  the newest indexed one. Coherence is each recipient's cube balance just
+  before the reward was paid, replayed from indexed Transfers.
+*/
+
+const MOBILE_BREAKPOINT = 768;
+
+function shortAddr(a) {
+  return a ? `${a.slice(0, 6)}…${a.slice(a.length - 4)}` : "-";
+}
+
+function formatTime(iso) {
+  try {
+    return new Date(iso).toLocaleString();
+  } catch {
+    return "-";
+  }
+}
+
+// Guardian state from a cube balance: none, exactly one, or several.
+function holderState(cubeBalance) {
+  if (cubeBalance === 1) return { label: "COHERENT", style: styles.badgeOk };
+  if (cubeBalance > 1) return { label: "FRACTURED", style: styles.badgeAlert };
+  return { label: "SILENT", style: styles.badgeSilent };
+}
+
+function formatEonAmount(amountEon) {
+  const n = Number(amountEon || 0);
+  if (!Number.isFinite(n)) return "-";
+  return n.toLocaleString(undefined, { maximumFractionDigits: 4 });
+}
+
+export default function EnergonBlock() {
+  const router = useRouter();
+  const heightParam = router.isReady ? String(router.query.height || "") : "";
+
+  const [isMobile, setIsMobile] = useState(false);
+  const [result, setResult] = useState(null);
+  const [loadErr, setLoadErr] = useState("");
+  const [jumpHeight, setJumpHeight] = useState("");
+
+  useEffect(() => {
+    function handleResize() {
+      setIsMobile(window.innerWidth <= MOBILE_BREAKPOINT);
+    }
+
+    handleResize();
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, []);
+
+  useEffect(() => {
+    if (!heightParam) return;
+
+    let alive = true;
+
+    setResult(null);
+    setLoadErr("");
+
+    fetch(`/api/energon-blocks/${encodeURIComponent(heightParam)}`)
+      .then(async (r) => {
+        const json = await r.json().catch(() => null);
+        if (!r.ok) {
+          // A 404 still carries the neighbouring heights for navigation.
+          if (alive) setResult(json);
+          throw new Error(json?.error || "Energon block unavailable");
+        }
+        return json;
+      })
+      .then((json) => {
+        if (alive) setResult(json);
+      })
+      .catch((e) => {
+        if (alive) setLoadErr(e?.message || "Energon block unavailable");
+      });
+
+    return () => {
+      alive = false;
+    };
+  }, [heightParam]);
+
+  function jump(e) {
+    e.preventDefault();
+
+    const n = Number(jumpHeight);
+    if (Number.isInteger(n) && n >= 0) router.push(`/energon/${n}`);
+  }
+
+  const block = loadErr ? null : result?.block || null;
+  const rewards = block ? result.rewards : [];
+  const coherentCount = rewards.filter((reward) => reward.coherent).length;
+  const gridStyle = isMobile ? styles.grid2 : styles.grid3;
+  const holderTd = result?.transferHistoryComplete
+    ? styles.td
+    : { ...styles.td, ...styles.tdMuted };
+
+  return (
+    <div style={styles.page}>
+      <Nav />
+
+      <div
+        style={{
+          ...styles.wrap,
+          padding: isMobile ? "20px 14px 34px" : styles.wrap.padding,
+        }}
+      >
+        <div style={styles.headerBlock}>
+          <h1 style={{ ...styles.h1, fontSize: isMobile ? 24 : 42 }}>
+            ENERGON BLOCK {block ? result.energonHeight : heightParam}
+          </h1>
+          <div style={styles.headerGlowLine} />
+        </div>
+
+        <div style={styles.navRow}>
+          {result?.previousHeight !== null && result?.previousHeight !== undefined ? (
+            <Link href={`/energon/${result.previousHeight}`} style={styles.link}>
+              ← {result.previousHeight}
+            </Link>
+          ) : null}
+
+          <Link href="/energon/latest" style={styles.link}>
+            Latest
+          </Link>
+
+          {result?.nextHeight !== null && result?.nextHeight !== undefined ? (
+            <Link href={`/energon/${result.nextHeight}`} style={styles.link}>
+              {result.nextHeight} →
+            </Link>
+          ) : null}
+
+          <form onSubmit={jump} style={styles.jumpForm}>
+            <input
+              type="number"
+              min="0"
+              placeholder="Height"
+              value={jumpHeight}
+              onChange={(e) => setJumpHeight(e.target.value)}
+              style={styles.jumpInput}
+            />
+            <button type="submit" style={styles.jumpBtn}>
+              Go
+            </button>
+          </form>
+        </div>
+
+        {loadErr ? <div style={styles.status}>{loadErr}</div> : null}
+
+        {!block && !loadErr ? (
+          <div style={styles.status}>Loading Energon block…</div>
+        ) : null}
+
+        {block ? (
+          <>
+            <div style={gridStyle}>
+              <div style={styles.tile}>
+                <div style={styles.tileLabel}>Steps</div>
+                <div style={styles.tileValue}>{block.steps}</div>
+                <div style={styles.meta}>
+                  {block.steps > 1
+                    ? `Caught up ${block.steps - 1} missed ${
+                        block.steps === 2 ? "tick" : "ticks"
+                      }`
+                    : "Ticked on schedule"}
+                </div>
+              </div>
+
+              <div style={styles.tile}>
+                <div style={styles.tileLabel}>Tick</div>
+                <div style={styles.tileValue}>
+                  <a
+                    href={block.explorerUrl}
+                    target="_blank"
+                    rel="noreferrer"
+                    style={styles.link}
+                  >
+                    {shortAddr(block.txHash)}
+                  </a>
+                </div>
+                <div style={styles.meta}>
+                  {formatTime(block.timestamp)} · Flare block{" "}
+                  {block.blockNumber.toLocaleString()}
+                </div>
+              </div>
+
+              <div style={styles.tile}>
+                <div style={styles.tileLabel}>Coherent Recipients</div>
+                <div style={styles.tileValue}>
+                  {rewards.length ? `${coherentCount} / ${rewards.length}` : "-"}
+                </div>
+                <div style={styles.meta}>
+                  {result.transferHistoryComplete
+                    ? "Balances as of each payout"
+                    : "Transfer history is not fully indexed; balances may be incomplete"}
+                </div>
+              </div>
+            </div>
+
+            <div style={{ ...styles.tile, ...styles.panel }}>
+              <div style={styles.tileLabel}>Seed</div>
+              <div style={styles.seed}>{block.seed}</div>
+            </div>
+
+            <div style={{ ...styles.tile, ...styles.panel }}>
+              <div style={styles.tileLabel}>Rewards</div>
+
+              {rewards.length ? (
+                <div style={styles.tableWrap}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>Cube</th>
+                        <th style={styles.th}>Wallet</th>
+                        <th style={styles.th}>Amount</th>
+                        <th style={styles.th}>Cubes held</th>
+                        <th style={styles.th}>State</th>
+                        <th style={styles.th}>Held paid cube</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rewards.map((reward) => (
+                        <tr key={reward.logIndex}>
+                          <td style={styles.td}>#{reward.tokenId}</td>
+                          <td style={styles.td}>
+                            <a
+                              href={EXPLORER_ADDRESS(reward.wallet)}
+                              target="_blank"
+                              rel="noreferrer"
+                              style={styles.link}
+                            >
+                              {shortAddr(reward.wallet)}
+                            </a>
+                          </td>
+                          <td style={styles.td}>
+                            {formatEonAmount(reward.amountEon)} EON
+                          </td>
+                          <td style={holderTd}>{reward.cubeBalance}</td>
+                          <td style={holderTd}>
+                            <span
+                              style={{
+                                ...styles.badge,
+                                ...holderState(reward.cubeBalance).style,
+                              }}
+                            >
+                              {holderState(reward.cubeBalance).label}
+                            </span>
+                          </td>
+                          <td style={holderTd}>
+                            {reward.ownedToken ? "yes" : "no"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div style={styles.empty}>
+                  No RewardPaid logs in this tick transaction.
+                </div>
+              )}
+            </div>
+          </>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  page: {
+    minHeight: "100vh",
+    background:
+      "radial-gradient(circle at 50% 14%, rgba(38,74,160,0.08) 0%, rgba(5,10,24,0.32) 18%, #000000 52%, #000000 100%)",
+    color: "#fff",
+    fontFamily:
+      'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, "Apple Color Emoji","Segoe UI Emoji"',
+  },
+
+  wrap: {
+    maxWidth: 980,
+    margin: "0 auto",
+    padding: "34px 18px 60px",
+  },
+
+  headerBlock: {
+    marginBottom: 24,
+    textAlign: "center",
+  },
+
+  h1: {
+    margin: 0,
+    lineHeight: 1.04,
+    fontWeight: 500,
+    letterSpacing: 0.12,
+    color: "#ffffff",
+    textTransform: "uppercase",
+  },
+
+  headerGlowLine: {
+    marginTop: 12,
+    height: 1,
+    width: "100%",
+    borderRadius: 999,
+    background:
+      "linear-gradient(90deg, rgba(80,170,255,0.04), rgba(90,180,255,0.18), rgba(140,220,255,0.95), rgba(90,180,255,0.18), rgba(80,170,255,0.04))",
+    boxShadow: "0 0 16px rgba(100,180,255,0.24)",
+  },
+
+  grid3: {
+    display: "grid",
+    gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+    gap: 14,
+    marginTop: 10,
+  },
+
+  grid2: {
+    display: "grid",
+    gridTemplateColumns: "repeat(2, minmax(0, 1fr))",
+    gap: 12,
+    marginTop: 10,
+  },
+
+  tile: {
+    background:
+      "linear-gradient(180deg, rgba(22,56,118,0.22), rgba(8,18,42,0.54))",
+    border: "1px solid rgba(122,185,255,0.22)",
+    borderRadius: 16,
+    padding: 16,
+    boxShadow:
+      "0 16px 34px rgba(0,0,0,0.28), inset 0 0 0 1px rgba(255,255,255,0.02), 0 0 18px rgba(60,135,255,0.07)",
+    minHeight: 112,
+  },
+
+  panel: {
+    marginTop: 14,
+    minHeight: "auto",
+  },
+
+  tileLabel: {
+    fontSize: 14,
+    marginBottom: 12,
+    letterSpacing: 0.2,
+    color: "rgba(225,236,255,0.92)",
+  },
+
+  tileValue: {
+    fontSize: 18,
+    fontWeight: 700,
+    letterSpacing: 0.2,
+    color: "#f2f7ff",
+  },
+
+  meta: {
+    marginTop: 10,
+    fontSize: 13,
+    lineHeight: 1.5,
+    color: "rgba(230,238,255,0.78)",
+  },
+
+  navRow: {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 16,
+    marginBottom: 12,
+    fontSize: 14,
+  },
+
+  link: {
+    color: "#8fd0ff",
+    textDecoration: "none",
+  },
+
+  jumpForm: {
+    display: "flex",
+    gap: 8,
+    marginLeft: "auto",
+  },
+
+  jumpInput: {
+    width: 110,
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid rgba(122,185,255,0.22)",
+    background: "rgba(8,18,42,0.54)",
+    color: "rgba(236,243,255,0.92)",
+    fontSize: 13,
+  },
+
+  jumpBtn: {
+    padding: "6px 12px",
+    borderRadius: 8,
+    border: "1px solid rgba(122,185,255,0.34)",
+    background: "rgba(40,90,180,0.28)",
+    color: "#f2f7ff",
+    fontSize: 13,
+    cursor: "pointer",
+  },
+
+  seed: {
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    fontSize: 13,
+    wordBreak: "break-all",
+    color: "#f2f7ff",
+  },
+
+  tableWrap: {
+    overflowX: "auto",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+    color: "rgba(236,243,255,0.92)",
+  },
+
+  th: {
+    textAlign: "left",
+    fontWeight: 600,
+    padding: "6px 10px 8px 0",
+    borderBottom: "1px solid rgba(122,185,255,0.22)",
+    color: "rgba(225,236,255,0.72)",
+    whiteSpace: "nowrap",
+  },
+
+  td: {
+    padding: "7px 10px 7px 0",
+    borderBottom: "1px solid rgba(122,185,255,0.08)",
+    whiteSpace: "nowrap",
+  },
+
+  empty: {
+    marginTop: 8,
+    fontSize: 13,
+    color: "rgba(230,238,255,0.72)",
+  },
+
+  status: {
+    marginTop: 14,
+    fontSize: 15,
+    color: "rgba(234,241,255,0.90)",
+  },
+
+  badge: {
+    display: "inline-block",
+    padding: "8px 13px",
+    borderRadius: 999,
+    fontSize: 12,
+    fontWeight: 800,
+    letterSpacing: 0.45,
+  },
+
+  badgeOk: {
+    border: "1px solid rgba(70,230,190,0.34)",
+    background: "rgba(45,190,170,0.14)",
+    color: "#c9fff3",
+  },
+
+  badgeAlert: {
+    border: "1px solid rgba(255,90,90,0.32)",
+    background: "rgba(255,90,90,0.10)",
+    color: "#ffd0d0",
+  },
+
+  badgeSilent: {
+    border: "1px solid rgba(200,210,230,0.24)",
+    background: "rgba(200,210,230,0.08)",
+    color: "rgba(225,232,245,0.78)",
+  },
+
+  tdMuted: {
+    opacity: 0.45,
+  },
+};
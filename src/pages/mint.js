@@ -10,6 +10,10 @@ import {
   NETWORK_NAME,
   RPCS,
 } from "../lib/contract";
+import {
+  RPC_RANKING_TTL_MS,
+  fetchPreferredRpcIndex,
+} from "../lib/rpcRanking";
 
 const CUBE_IMAGE_URI =
   "https://red-secret-dragonfly-529.mypinata.cloud/ipfs/bafkreidvd5tpfmhctkuz5bb6xpodytjnlkiffflstxrm4abuhsgqhmftbq";
@@ -71,6 +75,7 @@ export default function Mint() {
   const readFailureCountRef = useRef(0);
   const refreshInFlightRef = useRef(false);
   const roRpcIndexRef = useRef(0);
+  const rpcRankedRef = useRef(Promise.resolve());
   const roProviderRef = useRef(null);
 
   useEffect(() => {
@@ -99,6 +104,29 @@ export default function Mint() {
     return roProviderRef.current;
   }
 
+  // Use the healthiest endpoint reported by /api/rpc-health instead of
+  // always index 0, re-ranked as the ranking expires; failures still
+  // rotate from there. The first read waits for the first ranking.
+  useEffect(() => {
+    let alive = true;
+
+    const applyRanking = () =>
+      fetchPreferredRpcIndex(rpcList).then((index) => {
+        if (!alive || index === null || index === roRpcIndexRef.current) return;
+
+        roRpcIndexRef.current = index;
+        roProviderRef.current = null;
+      });
+
+    rpcRankedRef.current = applyRanking();
+    const t = setInterval(applyRanking, RPC_RANKING_TTL_MS);
+
+    return () => {
+      alive = false;
+      clearInterval(t);
+    };
+  }, [rpcList]);
+
   function rotateRpc(reason = "read failure") {
     if (rpcList.length <= 1) return;
 
@@ -604,7 +632,7 @@ export default function Mint() {
   }, []);
 
   useEffect(() => {
-    refreshRead(accountRef.current);
+    rpcRankedRef.current.then(() => refreshRead(accountRef.current));
 
     const t = setInterval(() => {
       refreshRead(accountRef.current);
@@ -24,6 +24,7 @@ import HalvingMemoryOrb from "../components/observer/scene/HalvingMemoryOrb";
 import EnergonEnergyFilaments from "../components/observer/scene/EnergonEnergyFilaments";
 import ObserverHud from "../components/observer/panels/ObserverHud";
 import AttributesPanel from "../components/observer/panels/AttributesPanel";
+import useProtocolSnapshot from "../components/observer/hooks/useProtocolSnapshot";
 
 const EON_ADDRESS = "0x9458Cbb2e7DafFE6b3cf4d6F2AC75f2d2e0F7d79";
 const CUBE_ADDRESS = "0x30e1076bDf2B123B54486C2721125388af2d2061";
@@ -594,6 +595,7 @@ function ObserverInner() {
 
   const [tokenUri, setTokenUri] = useState(null);
   const [meta, setMeta] = useState(null);
+  const [rarity, setRarity] = useState(null);
   const [metaErr, setMetaErr] = useState(null);
   const [loadingMeta, setLoadingMeta] = useState(false);
 
@@ -633,19 +635,27 @@ function ObserverInner() {
     },
   });
 
+  // Protocol values come from /api/snapshot; each chain read below only
+  // runs when the snapshot is unavailable or missing that value.
+  const { snapshot, needsChain } = useProtocolSnapshot(
+    OBSERVER_READ_INTERVAL_MS
+  );
+
   const totalMintedRead = useReadContract({
     abi: cubeMiniAbi,
     address: CUBE_ADDRESS,
     functionName: "totalMinted",
     query: {
-      enabled: true,
+      enabled: needsChain("totalMinted"),
       refetchInterval: OBSERVER_READ_INTERVAL_MS,
       staleTime: OBSERVER_READ_INTERVAL_MS,
       retry: 2,
     },
   });
 
-  const totalMintedStable = useLastKnown(totalMintedRead.data);
+  const totalMintedStable = useLastKnown(
+    snapshot?.totalMinted ?? totalMintedRead.data
+  );
 
   const totalMintedN = useMemo(() => {
     try {
@@ -909,6 +919,24 @@ function ObserverInner() {
     [tokenIdStr, rarityTier]
   );
 
+  useEffect(() => {
+    let alive = true;
+
+    setRarity(null);
+    if (!tokenIdStr) return;
+
+    fetch(`/api/rarity/${tokenIdStr}`)
+      .then((r) => (r.ok ? r.json() : null))
+      .then((json) => {
+        if (alive) setRarity(json);
+      })
+      .catch(() => {});
+
+    return () => {
+      alive = false;
+    };
+  }, [tokenIdStr]);
+
   const eonText = formatUnitsSafe(eonBalStable, decimalsStable);
 
   const canShowAttributes = isBound && meta && !metaErr;
@@ -979,7 +1007,7 @@ function ObserverInner() {
     address: controllerAddress,
     functionName: "energonHeight",
     query: {
-      enabled: !!controllerAddress,
+      enabled: !!controllerAddress && needsChain("energonHeight"),
       refetchInterval: OBSERVER_READ_INTERVAL_MS,
       staleTime: OBSERVER_READ_INTERVAL_MS,
       retry: 2,
@@ -991,7 +1019,7 @@ function ObserverInner() {
     address: controllerAddress,
     functionName: "launchTime",
     query: {
-      enabled: !!controllerAddress,
+      enabled: !!controllerAddress && needsChain("launchTime"),
       refetchInterval: OBSERVER_STATIC_READ_INTERVAL_MS,
       staleTime: OBSERVER_STATIC_READ_INTERVAL_MS,
       retry: 2,
@@ -1003,7 +1031,7 @@ function ObserverInner() {
     address: controllerAddress,
     functionName: "halvingInterval",
     query: {
-      enabled: !!controllerAddress,
+      enabled: !!controllerAddress && needsChain("halvingInterval"),
       refetchInterval: OBSERVER_STATIC_READ_INTERVAL_MS,
       staleTime: OBSERVER_STATIC_READ_INTERVAL_MS,
       retry: 2,
@@ -1015,7 +1043,7 @@ function ObserverInner() {
     address: controllerAddress,
     functionName: "currentRewardPerBlock",
     query: {
-      enabled: !!controllerAddress,
+      enabled: !!controllerAddress && needsChain("currentRewardPerBlock"),
       refetchInterval: OBSERVER_STATIC_READ_INTERVAL_MS,
       staleTime: OBSERVER_STATIC_READ_INTERVAL_MS,
       retry: 2,
@@ -1027,18 +1055,28 @@ function ObserverInner() {
     address: controllerAddress,
     functionName: "lastHalvingTime",
     query: {
-      enabled: !!controllerAddress,
+      enabled: !!controllerAddress && needsChain("lastHalvingTime"),
       refetchInterval: OBSERVER_STATIC_READ_INTERVAL_MS,
       staleTime: OBSERVER_STATIC_READ_INTERVAL_MS,
       retry: 2,
     },
   });
 
-  const heightStable = useLastKnown(heightRead.data);
-  const launchTimeStable = useLastKnown(launchTimeRead.data);
-  const halvingIntervalStable = useLastKnown(halvingIntervalRead.data);
-  const rewardPerBlockStable = useLastKnown(rewardPerBlockRead.data);
-  const lastHalvingTimeStable = useLastKnown(lastHalvingTimeRead.data);
+  const heightStable = useLastKnown(
+    snapshot?.energonHeight ?? heightRead.data
+  );
+  const launchTimeStable = useLastKnown(
+    snapshot?.launchTime ?? launchTimeRead.data
+  );
+  const halvingIntervalStable = useLastKnown(
+    snapshot?.halvingInterval ?? halvingIntervalRead.data
+  );
+  const rewardPerBlockStable = useLastKnown(
+    snapshot?.currentRewardPerBlock ?? rewardPerBlockRead.data
+  );
+  const lastHalvingTimeStable = useLastKnown(
+    snapshot?.lastHalvingTime ?? lastHalvingTimeRead.data
+  );
 
   const currentHeight = useMemo(() => {
     try {
@@ -1333,6 +1371,7 @@ function ObserverInner() {
             attrsOpen={attrsOpen}
             setAttrsOpen={setAttrsOpen}
             attrsCapped={attrsCapped}
+            rarity={rarity}
             maxAttrs={MAX_ATTRS}
             sheetInset={SHEET_INSET}
             sheetH={SHEET_H}